@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// cli.js
+// User management from the command line (uses the same .env as server.js).
+//
+//   node cli.js create-admin --name "Jane Doe" --email jane@example.com [--password secret]
+//   node cli.js reset-password --email jane@example.com [--password secret]
+//   node cli.js set-role --email jane@example.com --role center_manager
+//   node cli.js list-users [--role admin]
+//
+// When --password is omitted a random one is generated and printed.
+
+const crypto = require("crypto");
+const { DB_CONFIG, createPool, hashPassword } = require("./db");
+
+const USAGE = `Usage:
+  node cli.js create-admin --name <name> --email <email> [--password <password>]
+  node cli.js reset-password --email <email> [--password <password>]
+  node cli.js set-role --email <email> --role <role>
+  node cli.js list-users [--role <role>]`;
+
+let pool = null;
+
+async function query(sql, params = []) {
+  if (!pool) pool = createPool();
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+// --key value pairs after the command name
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const key = argv[i].slice(2);
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith("--")) throw new Error(`Missing value for --${key}`);
+    opts[key] = value;
+    i++;
+  }
+  return opts;
+}
+
+function need(opts, ...keys) {
+  for (const k of keys) if (!opts[k]) throw new Error(`--${k} is required`);
+}
+
+// The server adds these columns on start-up; the CLI may run before it ever has
+async function hasColumn(table, column) {
+  const rows = await query(
+    "SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=? AND TABLE_NAME=? AND COLUMN_NAME=?",
+    [DB_CONFIG.database, table, column]
+  );
+  return rows.length > 0;
+}
+
+async function hasTable(table) {
+  const rows = await query("SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA=? AND TABLE_NAME=?", [
+    DB_CONFIG.database,
+    table,
+  ]);
+  return rows.length > 0;
+}
+
+async function findUser(email) {
+  const rows = await query("SELECT * FROM users WHERE email=?", [email]);
+  if (!rows.length) throw new Error(`No user with email ${email}`);
+  return rows[0];
+}
+
+// Same effect as revokeUserTokens() in server.js: every login ends
+async function revokeLogins(userId) {
+  if (await hasColumn("users", "token_version")) {
+    await query("UPDATE users SET token_version = token_version + 1 WHERE id=?", [userId]);
+  }
+  if (await hasTable("sessions")) {
+    await query("UPDATE sessions SET revoked_at=NOW() WHERE user_id=? AND revoked_at IS NULL", [userId]);
+  }
+  if (await hasTable("refresh_tokens")) {
+    await query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=? AND revoked_at IS NULL", [userId]);
+  }
+}
+
+function randomPassword() {
+  return crypto.randomBytes(9).toString("base64url");
+}
+
+const commands = {
+  async "create-admin"(opts) {
+    need(opts, "name", "email");
+    const exist = await query("SELECT id FROM users WHERE email=?", [opts.email]);
+    if (exist.length) throw new Error("Email already exists");
+
+    const password = opts.password || randomPassword();
+    const result = await query("INSERT INTO users (name,email,password,role) VALUES(?,?,?,?)", [
+      opts.name,
+      opts.email,
+      await hashPassword(password),
+      "admin",
+    ]);
+    if (await hasColumn("users", "email_verified_at")) {
+      await query("UPDATE users SET email_verified_at=NOW() WHERE id=?", [result.insertId]);
+    }
+    console.log(`Created admin #${result.insertId} ${opts.email}`);
+    if (!opts.password) console.log(`Password: ${password}`);
+  },
+
+  async "reset-password"(opts) {
+    need(opts, "email");
+    const user = await findUser(opts.email);
+    const password = opts.password || randomPassword();
+    await query("UPDATE users SET password=? WHERE id=?", [await hashPassword(password), user.id]);
+    if (await hasColumn("users", "locked_until")) {
+      await query("UPDATE users SET failed_logins=0, locked_until=NULL WHERE id=?", [user.id]);
+    }
+    await revokeLogins(user.id);
+    console.log(`Password reset for ${user.email}`);
+    if (!opts.password) console.log(`Password: ${password}`);
+  },
+
+  async "set-role"(opts) {
+    need(opts, "email", "role");
+    const user = await findUser(opts.email);
+    if (await hasTable("roles")) {
+      const role = await query("SELECT name FROM roles WHERE name=?", [opts.role]);
+      if (!role.length) throw new Error(`Unknown role "${opts.role}"`);
+    }
+    await query("UPDATE users SET role=? WHERE id=?", [opts.role, user.id]);
+    await revokeLogins(user.id);
+    console.log(`${user.email}: ${user.role} -> ${opts.role}`);
+  },
+
+  async "list-users"(opts) {
+    const active = (await hasColumn("users", "is_active")) ? "is_active" : "1 AS is_active";
+    const rows = await query(
+      `SELECT id,name,email,role,${active} FROM users ${opts.role ? "WHERE role=?" : ""} ORDER BY id ASC`,
+      opts.role ? [opts.role] : []
+    );
+    console.table(rows.map((r) => ({ ...r, is_active: !!r.is_active })));
+  },
+};
+
+async function main() {
+  const [cmd, ...rest] = process.argv.slice(2);
+  if (!commands[cmd]) {
+    console.error(USAGE);
+    process.exit(cmd ? 1 : 0);
+  }
+  try {
+    await commands[cmd](parseArgs(rest));
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exitCode = 1;
+  } finally {
+    if (pool) await pool.end();
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { commands, parseArgs };
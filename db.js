@@ -0,0 +1,26 @@
+// db.js
+// MySQL settings and password hashing shared by server.js and cli.js,
+// so both always talk to the same database and hash the same way.
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const bcrypt = require("bcryptjs");
+
+const DB_CONFIG = {
+  host: process.env.DB_HOST || "localhost",
+  port: Number(process.env.DB_PORT) || 3306,
+  user: process.env.DB_USER || "root",
+  password: process.env.DB_PASS || "",
+  database: process.env.DB_NAME || "dbms",
+};
+
+const BCRYPT_ROUNDS = 10;
+
+function createPool() {
+  return mysql.createPool({ ...DB_CONFIG, waitForConnections: true, connectionLimit: 10 });
+}
+
+function hashPassword(plain) {
+  return bcrypt.hash(plain, BCRYPT_ROUNDS);
+}
+
+module.exports = { DB_CONFIG, createPool, hashPassword };
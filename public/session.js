@@ -0,0 +1,120 @@
+// session.js
+// Shared by every logged-in page:
+//  - keeps API calls working after the short-lived access token expires
+//    (refreshes it once with the stored refresh token and retries)
+//  - tells the server to revoke the refresh token when "Logout" is clicked
+//  - shows a banner while an admin is viewing the site as another user
+//  - opens uploaded files (links with data-file="/uploads/...") and certificates
+//    (links with data-certificate="<record id>"), which need the token
+(function(){
+
+  const nativeFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  function isApi(url){
+    const u = new URL(typeof url === 'string' ? url : url.url, location.href);
+    return u.origin === location.origin && u.pathname.startsWith('/api/') && u.pathname !== '/api/token/refresh';
+  }
+
+  // pages capture the token once at load; always send the latest one
+  function withToken(init){
+    const token = localStorage.getItem('authToken');
+    if(!init || !init.headers || !token) return init;
+    const headers = Object.assign({}, init.headers);
+    if(headers.Authorization) headers.Authorization = 'Bearer ' + token;
+    if(headers.authorization) headers.authorization = 'Bearer ' + token;
+    return Object.assign({}, init, { headers });
+  }
+
+  async function refresh(){
+    const refresh_token = localStorage.getItem('refreshToken');
+    if(!refresh_token) return false;
+    try{
+      const res = await nativeFetch('/api/token/refresh', {
+        method:'POST',
+        headers:{ 'Content-Type':'application/json' },
+        body: JSON.stringify({ refresh_token })
+      });
+      const out = await res.json();
+      if(!out.success) return false;
+      localStorage.setItem('authToken', out.token);
+      localStorage.setItem('refreshToken', out.refresh_token);
+      return true;
+    }catch(e){
+      return false;
+    }
+  }
+
+  // responses made with an impersonation token carry X-Impersonation
+  let banner = null;
+  function markImpersonation(res){
+    if(banner || !document.body || !res.headers.get('X-Impersonation')) return;
+    banner = document.createElement('div');
+    banner.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:9999;background:#b45309;color:#fff;padding:6px 12px;font:14px sans-serif;text-align:center';
+    banner.textContent = 'Viewing as another user (support session). ';
+    const end = document.createElement('button');
+    end.textContent = 'End';
+    end.onclick = async ()=>{
+      await nativeFetch('/api/impersonation/end', {
+        method:'POST',
+        headers:{ Authorization: 'Bearer ' + localStorage.getItem('authToken') }
+      }).catch(()=>{});
+      localStorage.clear();
+      location.href = 'login.html';
+    };
+    banner.appendChild(end);
+    document.body.appendChild(banner);
+  }
+
+  window.fetch = async function(url, init){
+    if(!isApi(url)) return nativeFetch(url, init);
+
+    const res = await nativeFetch(url, withToken(init));
+    markImpersonation(res);
+    if(res.status !== 401) return res;
+
+    // one refresh at a time; parallel 401s wait for the same one
+    refreshing = refreshing || refresh().finally(()=>{ refreshing = null; });
+    if(!(await refreshing)) return res;
+    return nativeFetch(url, withToken(init));
+  };
+
+  // uploads and certificates are private: fetch with the token and hand back
+  // an object URL for the body, or null when it isn't available
+  async function blobUrl(path){
+    const res = await window.fetch(path, {
+      headers:{ Authorization: 'Bearer ' + localStorage.getItem('authToken') }
+    });
+    if(!res.ok) return null;
+    return URL.createObjectURL(await res.blob());
+  }
+  window.blobUrl = blobUrl;
+
+  document.addEventListener('click', async (e)=>{
+    const link = e.target.closest && e.target.closest('[data-file],[data-certificate]');
+    if(!link) return;
+    e.preventDefault();
+    const win = window.open('', '_blank');
+    const path = link.hasAttribute('data-file')
+      ? '/api/files/' + encodeURIComponent(link.getAttribute('data-file').split('/').pop())
+      : '/api/vaccination-records/' + encodeURIComponent(link.getAttribute('data-certificate')) + '/certificate';
+    const url = await blobUrl(path);
+    if(!url){ if(win) win.close(); alert('File not available'); return; }
+    if(win) win.location = url; else location.href = url;
+  });
+
+  // runs before the page's own logout handler clears localStorage
+  document.addEventListener('click', (e)=>{
+    const btn = e.target.closest && e.target.closest('#logoutBtn');
+    if(!btn) return;
+    const refresh_token = localStorage.getItem('refreshToken');
+    if(!refresh_token) return;
+    nativeFetch('/api/logout', {
+      method:'POST',
+      keepalive:true,
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({ refresh_token })
+    }).catch(()=>{});
+  }, true);
+
+})();
@@ -1,10 +1,9 @@
 // server.js
 // Vaccination Management System Backend (fixed)
 // Node.js + Express + MySQL
-// Make sure: npm install express mysql2 jsonwebtoken bcryptjs multer cors dotenv pdfkit
+// Make sure: npm install express mysql2 jsonwebtoken bcryptjs multer cors dotenv pdfkit nodemailer qrcode
 
 const express = require("express");
-const mysql = require("mysql2/promise");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const multer = require("multer");
@@ -12,54 +11,204 @@ const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
 const PDFDocument = require("pdfkit");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const QRCode = require("qrcode");
+const archiver = require("archiver");
+const { execFile } = require("child_process");
 require("dotenv").config();
+const { DB_CONFIG, createPool, hashPassword } = require("./db");
 
 const app = express();
+// set TRUST_PROXY=1 behind a reverse proxy so req.ip is the client address
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // ---------- Config ----------
 const PORT = Number(process.env.PORT) || 3000;
-const DB_HOST = process.env.DB_HOST || "localhost";
-const DB_PORT = process.env.DB_PORT || 3306;
-const DB_USER = process.env.DB_USER || "root";
-const DB_PASS = process.env.DB_PASS || "";
-const DB_NAME = process.env.DB_NAME || "dbms";
+const DB_NAME = DB_CONFIG.database;
 const JWT_SECRET = process.env.JWT_SECRET || "change_this_secret";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// A refresh token rotated this recently may be presented again (two tabs
+// refreshing at once) without counting as reuse
+const REFRESH_REUSE_GRACE_SECONDS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10;
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+// reset requests accepted per client address per hour, known email or not
+const RESET_MAX_PER_HOUR = Number(process.env.RESET_MAX_PER_HOUR) || 10;
+const VERIFY_TOKEN_HOURS = Number(process.env.VERIFY_TOKEN_HOURS) || 48;
+// Base URL used in links sent by email
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+// console | file | smtp
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_FROM = process.env.MAIL_FROM || "Vaccination System <no-reply@localhost>";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "mail-outbox");
+// When true, admin and staff accounts must enroll in TOTP before using the API
+const TOTP_ENFORCE = process.env.TOTP_ENFORCE === "true";
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "VMS";
+// Key for encrypting TOTP secrets at rest (defaults to one derived from JWT_SECRET)
+const TOTP_ENC_KEY = crypto.createHash("sha256").update(process.env.TOTP_ENC_KEY || JWT_SECRET).digest();
+// Login throttling: failures allowed before delays kick in, and hard limits
+const LOGIN_FREE_FAILURES = 3;
+const LOGIN_LOCK_FAILURES = Number(process.env.LOGIN_LOCK_FAILURES) || 10;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const LOGIN_IP_FREE_FAILURES = 10;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+// Phone login codes (SMS): lifetime, wrong guesses allowed per code, and
+// how often a new code may be sent to the same number
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_PER_HOUR = Number(process.env.OTP_MAX_PER_HOUR) || 5;
+// console | file | http
+const SMS_TRANSPORT = process.env.SMS_TRANSPORT || "console";
+const SMS_OUTBOX_DIR = process.env.SMS_OUTBOX_DIR || path.join(__dirname, "sms-outbox");
+// When true, certificates are only issued once the patient's ID proof is verified
+const REQUIRE_ID_VERIFICATION = process.env.REQUIRE_ID_VERIFICATION === "true";
+// Uploads: size limit per file, and an optional virus scanner command that is
+// given the file path and must exit 0 for clean files (e.g. "clamdscan --no-summary")
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 5;
+const UPLOAD_SCAN_CMD = process.env.UPLOAD_SCAN_CMD || "";
+// Admin "view as user" tokens: default and maximum lifetime
+const IMPERSONATION_MINUTES = Number(process.env.IMPERSONATION_MINUTES) || 15;
+const IMPERSONATION_MAX_MINUTES = 60;
 
 // ---------- Directories ----------
-const UPLOAD_DIR = path.join(__dirname, "public", "uploads");
-const CERT_DIR = path.join(__dirname, "public", "certificates");
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-if (!fs.existsSync(CERT_DIR)) fs.mkdirSync(CERT_DIR, { recursive: true });
+// Uploads are private (outside public/) and only served by /api/files/:name
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "storage", "uploads");
+// certificates used to be written here and served publicly; they are now
+// streamed to the requester
+const LEGACY_CERT_DIR = path.join(__dirname, "public", "certificates");
+// files uploaded before uploads went private
+const LEGACY_UPLOAD_DIR = path.join(__dirname, "public", "uploads");
+
+// Run once at startup: create the upload directory, drop the old public
+// certificates and move old public uploads into private storage
+function prepareStorage() {
+  if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  if (fs.existsSync(LEGACY_CERT_DIR)) {
+    for (const f of fs.readdirSync(LEGACY_CERT_DIR)) {
+      if (/^cert_\d+\.pdf$/.test(f)) fs.unlinkSync(path.join(LEGACY_CERT_DIR, f));
+    }
+  }
+  if (fs.existsSync(LEGACY_UPLOAD_DIR) && LEGACY_UPLOAD_DIR !== UPLOAD_DIR) {
+    for (const f of fs.readdirSync(LEGACY_UPLOAD_DIR)) {
+      const dest = path.join(UPLOAD_DIR, f);
+      if (!fs.existsSync(dest)) fs.renameSync(path.join(LEGACY_UPLOAD_DIR, f), dest);
+    }
+  }
+}
 
 // ---------- Multer ----------
+// Accepted types: extension -> allowed MIME types and the file's leading bytes
+const UPLOAD_TYPES = {
+  ".jpg": { mime: ["image/jpeg"], magic: "ffd8ff" },
+  ".jpeg": { mime: ["image/jpeg"], magic: "ffd8ff" },
+  ".png": { mime: ["image/png"], magic: "89504e47" },
+  ".pdf": { mime: ["application/pdf"], magic: "25504446" },
+};
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, UPLOAD_DIR),
   filename: (req, file, cb) =>
-    cb(null, Date.now() + "_" + Math.round(Math.random() * 1e6) + path.extname(file.originalname)),
+    cb(null, Date.now() + "_" + crypto.randomBytes(8).toString("hex") + path.extname(file.originalname).toLowerCase()),
+});
+const upload = multer({
+  storage,
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const type = UPLOAD_TYPES[path.extname(file.originalname).toLowerCase()];
+    if (!type || !type.mime.includes(file.mimetype)) {
+      return cb(Object.assign(new Error("Only JPG, PNG and PDF files are allowed"), { code: "UPLOAD_TYPE" }));
+    }
+    cb(null, true);
+  },
+});
+
+// Runs after the file is on disk; resolves to a rejection message or null.
+// Swap this out to plug in a different scanner.
+const scanUpload = UPLOAD_SCAN_CMD
+  ? (file) =>
+      new Promise((resolve) => {
+        const [cmd, ...args] = UPLOAD_SCAN_CMD.split(/\s+/);
+        execFile(cmd, [...args, file], { timeout: 60000 }, (err) => {
+          if (!err) return resolve(null);
+          console.error("UPLOAD SCAN:", err.message);
+          resolve("The file was rejected by the virus scanner");
+        });
+      })
+  : async () => null;
+
+// The browser-supplied MIME type is only a claim; check the content too
+async function sniffUpload(file) {
+  const type = UPLOAD_TYPES[path.extname(file.filename).toLowerCase()];
+  const fh = await fs.promises.open(file.path, "r");
+  try {
+    const buf = Buffer.alloc(8);
+    await fh.read(buf, 0, 8, 0);
+    return buf.toString("hex").startsWith(type.magic) ? null : "File content does not match its type";
+  } finally {
+    await fh.close();
+  }
+}
+
+// upload.single(field) plus validation and scanning; failures become
+// { success:false, msg } and the file is removed
+function acceptUpload(field) {
+  const single = upload.single(field);
+  return (req, res, next) => {
+    single(req, res, async (err) => {
+      if (err) {
+        const msg = err.code === "LIMIT_FILE_SIZE" ? `File is too large (max ${UPLOAD_MAX_MB} MB)` : err.message;
+        return res.json({ success: false, msg });
+      }
+      if (!req.file) return next();
+      try {
+        const problem = (await sniffUpload(req.file)) || (await scanUpload(req.file.path));
+        if (!problem) return next();
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.json({ success: false, msg: problem });
+      } catch (e) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return sendErr(res, e);
+      }
+    });
+  };
+}
+
+// CSV imports are parsed in memory and never stored as uploads
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== ".csv") {
+      return cb(Object.assign(new Error("Please upload a .csv file"), { code: "UPLOAD_TYPE" }));
+    }
+    cb(null, true);
+  },
 });
-const upload = multer({ storage });
+
+// Stored paths look like "/uploads/x.png"; absolute path, or null if missing
+function uploadPath(storedPath) {
+  if (!storedPath || !storedPath.startsWith("/uploads/")) return null;
+  const file = path.join(UPLOAD_DIR, path.basename(storedPath));
+  return fs.existsSync(file) ? file : null;
+}
 
 // ---------- MySQL Pool ----------
 let pool;
-(async function initDb() {
-  try {
-    pool = await mysql.createPool({
-      host: process.env.DB_HOST || "localhost",
-      user: DB_USER,
-      password: DB_PASS,
-      database: DB_NAME,
-      waitForConnections: true,
-      connectionLimit: 10,
-    });
+async function initDb() {
+  try {
+    pool = createPool();
+    await ensureSchema();
     console.log("Connected to MySQL");
   } catch (err) {
     console.error("MySQL connection error:", err);
     process.exit(1);
   }
-})();
+}
 
 // ---------- Helpers ----------
 function sendErr(res, err = null, msg = "Server error", code = 500) {
@@ -70,27 +219,1007 @@ async function query(sql, params = []) {
   const [rows] = await pool.query(sql, params);
   return rows;
 }
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+// JSON columns arrive parsed from MySQL but as strings from MariaDB, where
+// JSON is an alias for LONGTEXT
+function jsonValue(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+function isEmail(value) {
+  return typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+// ---------- Schema ----------
+// Columns/tables added after the original dump. Safe to run on every start.
+async function addColumnIfMissing(table, column, definition) {
+  const rows = await query(
+    "SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=? AND TABLE_NAME=? AND COLUMN_NAME=?",
+    [DB_NAME, table, column]
+  );
+  if (rows.length) return false;
+  await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+async function addIndexIfMissing(table, name, columns) {
+  const rows = await query(
+    "SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA=? AND TABLE_NAME=? AND INDEX_NAME=?",
+    [DB_NAME, table, name]
+  );
+  if (rows.length) return false;
+  await query(`ALTER TABLE ${table} ADD INDEX ${name} (${columns})`);
+  return true;
+}
+
+async function ensureSchema() {
+  await addColumnIfMissing("users", "is_active", "TINYINT(1) NOT NULL DEFAULT 1");
+
+  // users.role may be an ENUM('admin','patient','staff') in older dumps
+  const roleCol = await query(
+    "SELECT DATA_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=? AND TABLE_NAME='users' AND COLUMN_NAME='role'",
+    [DB_NAME]
+  );
+  if (roleCol.length && roleCol[0].DATA_TYPE === "enum") {
+    await query("ALTER TABLE users MODIFY role VARCHAR(32) NOT NULL DEFAULT 'patient'");
+  }
+
+  await query(`CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(32) PRIMARY KEY,
+    description VARCHAR(255) NULL,
+    is_staff TINYINT(1) NOT NULL DEFAULT 0
+  )`);
+  await query(`CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(32) NOT NULL,
+    permission VARCHAR(64) NOT NULL,
+    PRIMARY KEY (role, permission)
+  )`);
+  const seeded = await query("SELECT COUNT(*) AS c FROM roles");
+  if (seeded[0].c === 0) {
+    for (const [name, r] of Object.entries(DEFAULT_ROLES)) {
+      await query("INSERT INTO roles (name,description,is_staff) VALUES(?,?,?)", [name, r.description, r.is_staff ? 1 : 0]);
+      for (const perm of r.permissions) {
+        await query("INSERT INTO role_permissions (role,permission) VALUES(?,?)", [name, perm]);
+      }
+    }
+  }
+
+  await query(`CREATE TABLE IF NOT EXISTS user_centers (
+    user_id INT NOT NULL,
+    center_id INT NOT NULL,
+    PRIMARY KEY (user_id, center_id)
+  )`);
+  if (await addColumnIfMissing("vaccination_records", "center_id", "INT NULL")) {
+    await query(`UPDATE vaccination_records r JOIN appointments a ON a.id = r.appointment_id
+      SET r.center_id = a.center_id`);
+  }
+
+  // bumped on password change / deactivation; access tokens carry it as `tv`
+  await addColumnIfMissing("users", "token_version", "INT NOT NULL DEFAULT 0");
+  await query(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    replaced_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (user_id)
+  )`);
+
+  await query(`CREATE TABLE IF NOT EXISTS password_resets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (user_id)
+  )`);
+  // every /api/password/forgot call, for the per-address limit
+  await query(`CREATE TABLE IF NOT EXISTS password_reset_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ip VARCHAR(45) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (ip, created_at)
+  )`);
+
+  // accounts that existed before verification was introduced count as verified
+  if (await addColumnIfMissing("users", "email_verified_at", "DATETIME NULL")) {
+    await query("UPDATE users SET email_verified_at=NOW()");
+  }
+  await query(`CREATE TABLE IF NOT EXISTS email_verifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (user_id)
+  )`);
+
+  // TOTP secrets are stored encrypted (see encryptSecret)
+  await addColumnIfMissing("users", "totp_secret", "VARCHAR(255) NULL");
+  await addColumnIfMissing("users", "totp_pending_secret", "VARCHAR(255) NULL");
+  await addColumnIfMissing("users", "totp_enabled_at", "DATETIME NULL");
+  await addColumnIfMissing("users", "totp_last_step", "BIGINT NULL");
+  await query(`CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    INDEX (user_id)
+  )`);
+
+  await addColumnIfMissing("users", "failed_logins", "INT NOT NULL DEFAULT 0");
+  await addColumnIfMissing("users", "last_failed_login_at", "DATETIME NULL");
+  await addColumnIfMissing("users", "locked_until", "DATETIME NULL");
+  await query(`CREATE TABLE IF NOT EXISTS login_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NULL,
+    user_id INT NULL,
+    ip VARCHAR(64) NULL,
+    success TINYINT(1) NOT NULL,
+    reason VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (ip, created_at),
+    INDEX (user_id, created_at)
+  )`);
+
+  // dependents (children etc.) are patients without a login of their own
+  const patientUser = await query(
+    "SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA=? AND TABLE_NAME='patients' AND COLUMN_NAME='user_id'",
+    [DB_NAME]
+  );
+  if (patientUser.length && patientUser[0].IS_NULLABLE === "NO") {
+    await query(`ALTER TABLE patients MODIFY user_id ${patientUser[0].COLUMN_TYPE} NULL`);
+  }
+  await query(`CREATE TABLE IF NOT EXISTS sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    user_agent VARCHAR(255) NULL,
+    ip VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME NULL,
+    INDEX (user_id)
+  )`);
+  await addColumnIfMissing("refresh_tokens", "session_id", "INT NULL");
+
+  await query(`CREATE TABLE IF NOT EXISTS api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NULL,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL
+  )`);
+
+  await query(`CREATE TABLE IF NOT EXISTS phone_otps (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phone VARCHAR(32) NOT NULL,
+    user_id INT NULL,
+    code_hash CHAR(64) NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    ip VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    consumed_at DATETIME NULL,
+    INDEX (phone, created_at)
+  )`);
+
+  // structured medical data: lists of lower-case terms ("egg", "pregnancy")
+  // and, per vaccine, [{ term, action: "block" | "warn" }]
+  await addColumnIfMissing("patients", "allergies", "JSON NULL");
+  await addColumnIfMissing("patients", "conditions", "JSON NULL");
+  await addColumnIfMissing("vaccines", "contraindications", "JSON NULL");
+  // pending | verified | rejected (id_proof_note holds the reason)
+  if (await addColumnIfMissing("patients", "id_proof_status", "VARCHAR(16) NULL")) {
+    await query("UPDATE patients SET id_proof_status='pending' WHERE id_proof IS NOT NULL");
+  }
+  await addColumnIfMissing("patients", "id_proof_note", "TEXT NULL");
+  await addColumnIfMissing("patients", "id_proof_uploaded_at", "DATETIME NULL");
+  await addColumnIfMissing("patients", "id_proof_reviewed_by", "INT NULL");
+  await addColumnIfMissing("patients", "id_proof_reviewed_at", "DATETIME NULL");
+
+  // number of the identity document (passport, national ID ...); a number is
+  // unique per id_type
+  await addColumnIfMissing("patients", "id_number", "VARCHAR(64) NULL");
+  await addColumnIfMissing("patients", "id_type", "VARCHAR(32) NOT NULL DEFAULT 'national_id'");
+  const nationalIdx = await query(
+    "SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA=? AND TABLE_NAME='patients' AND INDEX_NAME='uniq_national_id'",
+    [DB_NAME]
+  );
+  if (!nationalIdx.length) {
+    await query("UPDATE patients SET id_number = NULLIF(UPPER(REPLACE(REPLACE(TRIM(id_number),' ',''),'-','')), '')");
+    const clash = await query(
+      "SELECT id_type, id_number FROM patients WHERE id_number IS NOT NULL GROUP BY id_type, id_number HAVING COUNT(*) > 1 LIMIT 1"
+    );
+    if (clash.length) console.warn("Some patients share an ID number; merge them to enable the unique index on patients.id_number");
+    else await query("ALTER TABLE patients ADD UNIQUE INDEX uniq_national_id (id_type, id_number)");
+  }
+  // system-generated health ID: 11 digits + Verhoeff check digit
+  await addColumnIfMissing("patients", "health_id", "CHAR(12) NULL UNIQUE");
+  const noHealthId = await query("SELECT id FROM patients WHERE health_id IS NULL");
+  for (const p of noHealthId) await assignHealthId(p.id);
+  // keys the duplicate finder groups patients by
+  await addIndexIfMissing("patients", "idx_patients_dob", "dob");
+  await addIndexIfMissing("patients", "idx_patients_id_number", "id_number");
+  await query(`CREATE TABLE IF NOT EXISTS patient_merges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    survivor_id INT NOT NULL,
+    merged_id INT NOT NULL,
+    merged_by INT NULL,
+    reason TEXT NULL,
+    snapshot JSON NOT NULL,
+    moved JSON NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (survivor_id)
+  )`);
+
+  // snapshot of the profile after every change; records point at the one
+  // that was current when the dose was given
+  await query(`CREATE TABLE IF NOT EXISTS patient_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    patient_id INT NOT NULL,
+    version INT NOT NULL,
+    data JSON NOT NULL,
+    changed_by INT NULL,
+    source VARCHAR(32) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY (patient_id, version)
+  )`);
+  await query(`INSERT INTO patient_versions (patient_id,version,data,source)
+    SELECT p.id, 1, JSON_OBJECT(
+      'name', p.name, 'dob', DATE_FORMAT(p.dob, '%Y-%m-%d'), 'gender', p.gender, 'phone', p.phone,
+      'address', p.address, 'medical_history', p.medical_history, 'allergies', p.allergies,
+      'conditions', p.conditions, 'id_number', p.id_number
+    ), 'initial'
+    FROM patients p WHERE NOT EXISTS (SELECT 1 FROM patient_versions v WHERE v.patient_id = p.id)`);
+  await addColumnIfMissing("vaccination_records", "patient_version_id", "INT NULL");
+
+  // forms are never edited in place: a change is a new version, so an
+  // acceptance always points at the exact text that was agreed to
+  await query(`CREATE TABLE IF NOT EXISTS consent_forms (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    vaccine_id INT NULL,
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    version INT NOT NULL DEFAULT 1,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (vaccine_id)
+  )`);
+  await query(`CREATE TABLE IF NOT EXISTS consents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    appointment_id INT NOT NULL,
+    patient_id INT NOT NULL,
+    form_id INT NOT NULL,
+    signer_name VARCHAR(200) NOT NULL,
+    relationship VARCHAR(32) NOT NULL,
+    signature_type VARCHAR(8) NOT NULL,
+    signature MEDIUMTEXT NULL,
+    signed_by INT NULL,
+    captured_by INT NULL,
+    ip VARCHAR(64) NULL,
+    user_agent VARCHAR(255) NULL,
+    accepted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (appointment_id)
+  )`);
+  await addColumnIfMissing("vaccination_records", "consent_id", "INT NULL");
+
+  await query(`CREATE TABLE IF NOT EXISTS patient_imports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    created_by INT NULL,
+    filename VARCHAR(255) NULL,
+    dry_run TINYINT(1) NOT NULL,
+    total_rows INT NOT NULL,
+    imported INT NOT NULL DEFAULT 0,
+    rejected INT NOT NULL DEFAULT 0,
+    report MEDIUMTEXT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+  // report rows rejected as looking like an existing patient, so erasing that
+  // patient can drop them
+  await query(`CREATE TABLE IF NOT EXISTS patient_import_matches (
+    import_id INT NOT NULL,
+    line INT NOT NULL,
+    patient_id INT NOT NULL,
+    INDEX (patient_id)
+  )`);
+
+  // required_age is the minimum age in years; max_age (inclusive) is optional
+  await addColumnIfMissing("vaccines", "max_age", "INT NULL");
+  // the limits actually enforced, in days so infant schedules (6 weeks,
+  // 9 months) fit; required_age / max_age are kept as whole years for display
+  if (await addColumnIfMissing("vaccines", "min_age_days", "INT NOT NULL DEFAULT 0")) {
+    await query("UPDATE vaccines SET min_age_days = FLOOR(COALESCE(required_age, 0) * 365.25)");
+  }
+  if (await addColumnIfMissing("vaccines", "max_age_days", "INT NULL")) {
+    await query("UPDATE vaccines SET max_age_days = FLOOR((max_age + 1) * 365.25) - 1 WHERE max_age IS NOT NULL");
+  }
+  await query(`CREATE TABLE IF NOT EXISTS contraindication_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    patient_id INT NOT NULL,
+    vaccine_id INT NOT NULL,
+    appointment_id INT NULL,
+    terms TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (patient_id, vaccine_id)
+  )`);
+
+  await query(`CREATE TABLE IF NOT EXISTS impersonations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    admin_id INT NOT NULL,
+    user_id INT NOT NULL,
+    reason TEXT NOT NULL,
+    allow_write TINYINT(1) NOT NULL DEFAULT 0,
+    ip VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    ended_at DATETIME NULL,
+    INDEX (admin_id),
+    INDEX (user_id)
+  )`);
+  await query(`CREATE TABLE IF NOT EXISTS impersonation_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    impersonation_id INT NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    blocked TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX (impersonation_id)
+  )`);
+
+  await query(`CREATE TABLE IF NOT EXISTS deletion_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    reason TEXT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    reviewed_by INT NULL,
+    review_note TEXT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME NULL,
+    INDEX (user_id)
+  )`);
+
+  await query(`CREATE TABLE IF NOT EXISTS patient_guardians (
+    patient_id INT NOT NULL,
+    user_id INT NOT NULL,
+    relationship VARCHAR(32) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (patient_id, user_id),
+    INDEX (user_id)
+  )`);
+}
+
+// ---------- Permissions ----------
+const PERMISSIONS = [
+  "vaccines:write",
+  "centers:write",
+  "inventory:write",
+  "inventory:adjust",
+  "appointments:read", // every appointment, not just the user's own
+  "appointments:manage", // status changes and staff assignment
+  "appointments:complete",
+  "records:read", // every vaccination record, not just the user's own
+  "records:edit",
+  "records:delete",
+  "feedback:read",
+  "feedback:manage",
+  "notifications:send",
+  "staff:read",
+  "staff:manage",
+  "roles:manage",
+  "centers:all", // not limited to the centers in user_centers
+  "users:manage", // account-level overrides (e.g. mark email verified)
+  "patients:read", // patient registry (/api/all-patients)
+  "api_keys:manage",
+  "privacy:manage", // review account deletion requests
+  "users:impersonate",
+  "contraindications:override",
+  "id_proofs:review",
+  "patients:merge",
+  "patients:import",
+  "consent:manage",
+];
+
+// Seeded into `roles` / `role_permissions` on first start; editable afterwards
+// through /api/roles. "admin" always has every permission and is not editable.
+const VACCINATOR_PERMISSIONS = ["appointments:read", "appointments:complete", "records:read", "feedback:read", "patients:read"];
+const DEFAULT_ROLES = {
+  admin: { description: "Full access", is_staff: false, permissions: [] },
+  patient: { description: "Patient self-service", is_staff: false, permissions: [] },
+  staff: { description: "Vaccinator", is_staff: true, permissions: VACCINATOR_PERMISSIONS },
+  vaccinator: { description: "Vaccinator", is_staff: true, permissions: VACCINATOR_PERMISSIONS },
+  center_manager: {
+    description: "Runs a vaccination center",
+    is_staff: true,
+    permissions: [
+      "appointments:read",
+      "appointments:manage",
+      "appointments:complete",
+      "records:read",
+      "records:edit",
+      "feedback:read",
+      "feedback:manage",
+      "inventory:adjust",
+      "notifications:send",
+      "staff:read",
+      "patients:read",
+    ],
+  },
+  inventory_clerk: { description: "Manages vaccine stock", is_staff: true, permissions: ["inventory:write", "inventory:adjust"] },
+  auditor: {
+    description: "Read-only access",
+    is_staff: true,
+    permissions: ["appointments:read", "records:read", "feedback:read", "staff:read", "patients:read", "centers:all"],
+  },
+};
+const LOCKED_ROLES = ["admin", "patient"];
+
+// role -> [permission]; cleared whenever roles are edited
+const permissionCache = new Map();
+
+async function permissionsFor(role) {
+  if (role === "admin") return PERMISSIONS.slice();
+  if (!permissionCache.has(role)) {
+    const rows = await query("SELECT permission FROM role_permissions WHERE role=?", [role]);
+    permissionCache.set(role, rows.map((r) => r.permission));
+  }
+  return permissionCache.get(role);
+}
+
+function hasPermission(user, perm) {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(perm);
+}
+
+// ---------- Center scope ----------
+// null = every center; otherwise the ids of the centers the user belongs to
+async function centerScope(user) {
+  if (hasPermission(user, "centers:all")) return null;
+  const rows = await query("SELECT center_id FROM user_centers WHERE user_id=?", [user.id]);
+  return rows.map((r) => r.center_id);
+}
+
+function inCenterScope(scope, centerId) {
+  return scope === null || scope.includes(Number(centerId));
+}
+
+// Center-scoped staff only see patients with an appointment at one of their centers
+async function patientInCenterScope(scope, patientId) {
+  if (scope === null) return true;
+  if (!scope.length) return false;
+  const rows = await query("SELECT id FROM appointments WHERE patient_id=? AND center_id IN (?) LIMIT 1", [patientId, scope]);
+  return rows.length > 0;
+}
+
+// [sql, params] restricting `column` to the scope, for use in a WHERE clause
+function centerScopeSql(scope, column) {
+  if (scope === null) return ["1=1", []];
+  if (!scope.length) return ["1=0", []];
+  return [`${column} IN (?)`, [scope]];
+}
 
 // ---------- Auth middleware ----------
+const AUTH_USER_SQL = `SELECT u.id,u.name,u.email,u.role,u.is_active,u.token_version,u.email_verified_at,u.totp_enabled_at,r.is_staff
+  FROM users u LEFT JOIN roles r ON r.name = u.role WHERE u.id=?`;
+
 async function auth(req, res, next) {
   try {
     const h = req.headers["authorization"];
+    if (req.headers["x-api-key"]) return apiKeyAuth(String(req.headers["x-api-key"]), req, res, next);
+    if (h && h.startsWith("Bearer " + API_KEY_PREFIX)) return apiKeyAuth(h.slice(7), req, res, next);
     if (!h || !h.startsWith("Bearer ")) return res.status(401).json({ msg: "No token" });
     const token = h.slice(7);
     const data = jwt.verify(token, JWT_SECRET);
-    const rows = await query("SELECT id,name,email,role FROM users WHERE id=?", [data.id]);
+    // login challenge tokens (see /api/login/2fa) are not access tokens
+    if (data.purpose) return res.status(401).json({ msg: "Invalid token" });
+    if (data.imp) return impersonationAuth(data, req, res, next);
+    const rows = await query(AUTH_USER_SQL, [data.id]);
     if (!rows || rows.length === 0) return res.status(401).json({ msg: "User not found" });
+    if (!rows[0].is_active) return res.status(401).json({ msg: "Account deactivated" });
+    if ((data.tv || 0) !== rows[0].token_version) return res.status(401).json({ msg: "Token revoked" });
+
+    const sess = await query("SELECT id FROM sessions WHERE id=? AND user_id=? AND revoked_at IS NULL", [data.sid, data.id]);
+    if (!sess.length) return res.status(401).json({ msg: "Session ended" });
+    touchSession(data.sid, req);
+
     req.user = rows[0];
+    req.user.session_id = data.sid;
+    req.user.permissions = await permissionsFor(req.user.role);
+
+    if (TOTP_ENFORCE && isPrivileged(req.user) && !req.user.totp_enabled_at && !req.originalUrl.startsWith("/api/2fa/")) {
+      return res.status(403).json({ success: false, msg: "Two-factor authentication setup required", code: "2FA_SETUP_REQUIRED" });
+    }
     next();
   } catch (err) {
     return res.status(401).json({ msg: "Invalid token" });
   }
 }
 
+// Integrations authenticate with an API key instead of a user JWT. The key
+// acts as a pseudo-user (role "api_key", no id) whose permissions are its
+// scopes, so requirePermission works unchanged.
+const API_KEY_PREFIX = "vms_";
+
+async function apiKeyAuth(key, req, res, next) {
+  try {
+    const rows = await query(
+      "SELECT * FROM api_keys WHERE key_hash=? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())",
+      [sha256(key)]
+    );
+    if (!rows.length) return res.status(401).json({ msg: "Invalid API key" });
+    const k = rows[0];
+
+    query("UPDATE api_keys SET last_used_at=NOW() WHERE id=? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE))", [
+      k.id,
+    ]).catch((err) => console.error("API KEY TOUCH ERR:", err));
+
+    req.user = { id: null, name: k.name, role: "api_key", api_key_id: k.id, permissions: JSON.parse(k.scopes) };
+    next();
+  } catch (err) {
+    return sendErr(res, err);
+  }
+}
+
+// Impersonation tokens ({id, imp}) make req.user the impersonated user and
+// set req.impersonation. Every response carries X-Impersonation headers;
+// requests that change data are refused unless the admin allowed writes, and
+// account-security endpoints are refused always (those routes also carry
+// denyImpersonation). The token is dropped as soon as the admin loses
+// users:impersonate or their own tokens are revoked.
+const IMPERSONATION_DENY = ["/api/2fa/", "/api/api-keys", "/api/sessions", "/api/password/", "/api/my/export", "/api/my/deletion-request", "/api/users/"];
+
+async function impersonationAuth(data, req, res, next) {
+  try {
+    const imp = await query(
+      `SELECT i.*, a.is_active AS admin_active, a.role AS admin_role, a.token_version AS admin_token_version
+       FROM impersonations i JOIN users a ON a.id = i.admin_id
+       WHERE i.id=? AND i.user_id=? AND i.ended_at IS NULL AND i.expires_at > NOW()`,
+      [data.imp, data.id]
+    );
+    if (
+      !imp.length ||
+      !imp[0].admin_active ||
+      (imp[0].admin_token_version || 0) !== data.atv ||
+      !(await permissionsFor(imp[0].admin_role)).includes("users:impersonate")
+    ) {
+      return res.status(401).json({ msg: "Impersonation ended" });
+    }
+    const rows = await query(AUTH_USER_SQL, [data.id]);
+    if (!rows.length || !rows[0].is_active) return res.status(401).json({ msg: "User not found" });
+
+    const i = imp[0];
+    res.set("X-Impersonation", String(i.id));
+    res.set("X-Impersonated-By", String(i.admin_id));
+    res.set("X-Impersonation-Expires", new Date(i.expires_at).toISOString());
+
+    // routes match case-insensitively, so compare the lower-cased path
+    const url = req.originalUrl;
+    const reqPath = req.path.toLowerCase();
+    const write = !["GET", "HEAD", "OPTIONS"].includes(req.method) && reqPath !== "/api/impersonation/end";
+    const blocked = IMPERSONATION_DENY.some((p) => reqPath.startsWith(p)) || (write && !i.allow_write);
+    query("INSERT INTO impersonation_log (impersonation_id,method,path,blocked) VALUES(?,?,?,?)", [
+      i.id,
+      req.method,
+      url.slice(0, 255),
+      blocked ? 1 : 0,
+    ]).catch((err) => console.error("IMPERSONATION LOG ERR:", err));
+    if (blocked) {
+      return res.status(403).json({ success: false, msg: "Not allowed while viewing as another user", code: "IMPERSONATION_READ_ONLY" });
+    }
+
+    req.user = rows[0];
+    req.user.permissions = await permissionsFor(req.user.role);
+    req.impersonation = { id: i.id, admin_id: i.admin_id, allow_write: !!i.allow_write };
+    next();
+  } catch (err) {
+    return sendErr(res, err);
+  }
+}
+
+// Use after auth on routes an impersonation token must never reach
+function denyImpersonation(req, res, next) {
+  if (req.impersonation) {
+    return res.status(403).json({ success: false, msg: "Not allowed while viewing as another user", code: "IMPERSONATION_READ_ONLY" });
+  }
+  next();
+}
+
+// Use after auth: app.post("/x", auth, requirePermission("records:edit"), handler)
+function requirePermission(...perms) {
+  return (req, res, next) => {
+    if (!perms.every((p) => hasPermission(req.user, p))) {
+      return res.status(403).json({ success: false, msg: "Unauthorized" });
+    }
+    next();
+  };
+}
+
+// Admin and staff accounts; these are the ones TOTP_ENFORCE applies to
+function isPrivileged(user) {
+  return user.role === "admin" || !!user.is_staff;
+}
+
+// Blocks accounts that haven't confirmed their email address yet
+function requireVerified(req, res, next) {
+  if (!req.user || !req.user.email_verified_at) {
+    return res.status(403).json({ success: false, msg: "Please verify your email address first" });
+  }
+  next();
+}
+
+// ---------- Sessions ----------
+// One row per login (device). Access tokens carry the session id as `sid`
+// and refresh tokens belong to a session, so revoking it ends both.
+async function createSession(user, req) {
+  const result = await query("INSERT INTO sessions (user_id,user_agent,ip) VALUES(?,?,?)", [
+    user.id,
+    String(req.headers["user-agent"] || "").slice(0, 255) || null,
+    req.ip,
+  ]);
+  return result.insertId;
+}
+
+// Fire-and-forget; at most one write per session per minute
+function touchSession(sessionId, req) {
+  query(
+    "UPDATE sessions SET last_seen_at=NOW(), ip=? WHERE id=? AND last_seen_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)",
+    [req.ip, sessionId]
+  ).catch((err) => console.error("SESSION TOUCH ERR:", err));
+}
+
+async function revokeSession(sessionId) {
+  await query("UPDATE sessions SET revoked_at=NOW() WHERE id=? AND revoked_at IS NULL", [sessionId]);
+  await query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE session_id=? AND revoked_at IS NULL", [sessionId]);
+}
+
+// ---------- Tokens ----------
+// Short-lived JWT for API calls plus an opaque refresh token; only the
+// refresh token's sha256 is stored.
+async function issueTokens(user, sessionId) {
+  const token = jwt.sign({ id: user.id, role: user.role, tv: user.token_version || 0, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  const refresh_token = crypto.randomBytes(32).toString("hex");
+  const result = await query(
+    "INSERT INTO refresh_tokens (user_id,session_id,token_hash,expires_at) VALUES(?,?,?,DATE_ADD(NOW(), INTERVAL ? DAY))",
+    [user.id, sessionId, sha256(refresh_token), REFRESH_TOKEN_DAYS]
+  );
+  return { token, refresh_token, refresh_token_id: result.insertId };
+}
+
+// "ok", "expired", "grace" (rotated moments ago) or "reused" for a
+// refresh_tokens row selected with revoked_ago = seconds since revoked_at
+function refreshTokenState(rt, now = new Date()) {
+  // tokens revoked by logout also land in "grace", but their session is gone
+  if (rt.revoked_at) return rt.revoked_ago !== null && rt.revoked_ago <= REFRESH_REUSE_GRACE_SECONDS ? "grace" : "reused";
+  return new Date(rt.expires_at) < now ? "expired" : "ok";
+}
+
+// Invalidates every session, access and refresh token the user holds
+async function revokeUserTokens(userId) {
+  await query("UPDATE users SET token_version = token_version + 1 WHERE id=?", [userId]);
+  await query("UPDATE sessions SET revoked_at=NOW() WHERE user_id=? AND revoked_at IS NULL", [userId]);
+  await query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=? AND revoked_at IS NULL", [userId]);
+}
+
+// ---------- Login throttling ----------
+// Seconds to wait before the next attempt: 0 for the first `free` failures,
+// then 1, 2, 4 ... capped at a minute.
+function backoffSeconds(failures, free) {
+  return failures < free ? 0 : Math.min(2 ** (failures - free), 60);
+}
+
+const LOGIN_LOCKED_MSG = "Too many failed logins, try again later";
+
+const LOGIN_BUSY_MSG = "Too many attempts, please wait";
+// A pending attempt older than this is treated as abandoned
+const LOGIN_PENDING_SECONDS = 10;
+
+// Returns { msg, retry_after } if this attempt must be refused, else null.
+// Unknown emails (user null, email given) are throttled the same way as
+// accounts so the answer doesn't reveal whether the account exists.
+// attemptId leaves the caller's own pending row (see startLoginAttempt) out
+// of the counts.
+async function loginThrottle(ip, user, email = null, attemptId = 0) {
+  const [byIp] = await query(
+    `SELECT COUNT(*) AS c, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since
+     FROM login_attempts WHERE ip=? AND success=0 AND id<>? AND created_at > DATE_SUB(NOW(), INTERVAL 15 MINUTE)`,
+    [ip, attemptId]
+  );
+  if (byIp.c >= LOGIN_IP_MAX_FAILURES) {
+    return { msg: "Too many failed logins from this address, try again later", retry_after: 15 * 60 };
+  }
+  const ipWait = backoffSeconds(byIp.c, LOGIN_IP_FREE_FAILURES) - (byIp.since || 0);
+  if (ipWait > 0) return { msg: LOGIN_BUSY_MSG, retry_after: ipWait };
+
+  if (user) {
+    const [u] = await query(
+      `SELECT failed_logins,
+         TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS locked_for,
+         TIMESTAMPDIFF(SECOND, last_failed_login_at, NOW()) AS since
+       FROM users WHERE id=?`,
+      [user.id]
+    );
+    if (u.locked_for > 0) return { msg: LOGIN_LOCKED_MSG, retry_after: u.locked_for };
+    const userWait = backoffSeconds(u.failed_logins, LOGIN_FREE_FAILURES) - (u.since || 0);
+    if (userWait > 0) return { msg: LOGIN_BUSY_MSG, retry_after: userWait };
+  } else if (email) {
+    const [e] = await query(
+      `SELECT COUNT(*) AS c, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since
+       FROM login_attempts WHERE email=? AND user_id IS NULL AND success=0 AND id<>? AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [email, attemptId, LOGIN_LOCK_MINUTES]
+    );
+    if (e.c >= LOGIN_LOCK_FAILURES) {
+      return { msg: LOGIN_LOCKED_MSG, retry_after: Math.max(LOGIN_LOCK_MINUTES * 60 - (e.since || 0), 1) };
+    }
+    const emailWait = backoffSeconds(e.c, LOGIN_FREE_FAILURES) - (e.since || 0);
+    if (emailWait > 0) return { msg: LOGIN_BUSY_MSG, retry_after: emailWait };
+  }
+  return null;
+}
+
+// Password logins write their attempt row (as a 'pending' failure) before
+// the password is checked, then run the limits against everything written
+// so far. Parallel requests therefore count against each other straight
+// away, and a second attempt on the same account or email while one is
+// still pending is refused. Returns { id } for the finishing call
+// (recordLoginFailure / recordLoginSuccess / cancelLoginAttempt) or
+// { block } if the attempt must not go ahead.
+async function startLoginAttempt(ip, user, email) {
+  const ins = await query("INSERT INTO login_attempts (email,user_id,ip,success,reason) VALUES(?,?,?,0,'pending')", [
+    email || null,
+    user ? user.id : null,
+    ip,
+  ]);
+  const id = ins.insertId;
+  let block = await loginThrottle(ip, user, email, id);
+  if (!block) {
+    const [busy] = await query(
+      `SELECT COUNT(*) AS c FROM login_attempts
+       WHERE ${user ? "user_id=?" : "email=? AND user_id IS NULL"} AND reason='pending' AND id<>?
+         AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+      [user ? user.id : email, id, LOGIN_PENDING_SECONDS]
+    );
+    if (busy.c > 0) block = { msg: LOGIN_BUSY_MSG, retry_after: 1 };
+  }
+  if (block) {
+    await cancelLoginAttempt(id);
+    return { block };
+  }
+  return { id };
+}
+
+// Drops a pending attempt that ended without a verdict on the credentials
+async function cancelLoginAttempt(attemptId) {
+  await query("DELETE FROM login_attempts WHERE id=?", [attemptId]);
+}
+
+// bcrypt hash of a random password, compared against when the email is
+// unknown so those requests take as long as a wrong password
+let dummyHash = null;
+function dummyPasswordHash() {
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+  return dummyHash;
+}
+
+async function recordLoginFailure(ip, email, user, reason, attemptId = null) {
+  if (attemptId) {
+    await query("UPDATE login_attempts SET reason=? WHERE id=?", [reason, attemptId]);
+  } else {
+    await query("INSERT INTO login_attempts (email,user_id,ip,success,reason) VALUES(?,?,?,0,?)", [
+      email || null,
+      user ? user.id : null,
+      ip,
+      reason,
+    ]);
+  }
+  if (!user) return;
+  await query("UPDATE users SET failed_logins = failed_logins + 1, last_failed_login_at=NOW() WHERE id=?", [user.id]);
+  await query(
+    "UPDATE users SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE), failed_logins=0 WHERE id=? AND failed_logins >= ?",
+    [LOGIN_LOCK_MINUTES, user.id, LOGIN_LOCK_FAILURES]
+  );
+}
+
+async function recordLoginSuccess(ip, user, attemptId = null) {
+  if (attemptId) await query("UPDATE login_attempts SET success=1, reason=NULL WHERE id=?", [attemptId]);
+  else await query("INSERT INTO login_attempts (email,user_id,ip,success) VALUES(?,?,?,1)", [user.email, user.id, ip]);
+  await query("UPDATE users SET failed_logins=0, locked_until=NULL WHERE id=?", [user.id]);
+}
+
+function sendThrottled(res, block) {
+  res.set("Retry-After", String(block.retry_after));
+  return res.status(429).json({ success: false, msg: block.msg, retry_after: block.retry_after });
+}
+
+// ---------- TOTP (RFC 6238) ----------
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, "").toUpperCase()) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 6-digit code for a 30-second time step (HMAC-SHA1, as authenticator apps expect)
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const bin = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(bin).padStart(6, "0");
+}
+
+// Returns the matching time step (one step of clock drift allowed either way),
+// or null. Steps at or before lastStep are rejected so a code can't be replayed.
+function verifyTotp(secret, code, lastStep = null) {
+  const now = Math.floor(Date.now() / 1000 / 30);
+  const given = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(given)) return null;
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) return step;
+  }
+  return null;
+}
+
+// verifyTotp against the user's enabled secret, recording the step so the
+// code can't be used again; false when wrong or already used (even by a
+// concurrent request)
+async function consumeTotp(user, code) {
+  const step = verifyTotp(decryptSecret(user.totp_secret), code, user.totp_last_step);
+  if (step === null) return false;
+  const result = await query(
+    "UPDATE users SET totp_last_step=? WHERE id=? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+    [step, user.id, step]
+  );
+  return result.affectedRows > 0;
+}
+
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", TOTP_ENC_KEY, iv);
+  const enc = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString("base64")).join(".");
+}
+
+function decryptSecret(blob) {
+  const [iv, tag, enc] = blob.split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", TOTP_ENC_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+// ---------- Mail ----------
+// Every transport exposes send({ to, subject, text }). Pick one with
+// MAIL_TRANSPORT:
+//   console - print to stdout (default)
+//   file    - write one JSON file per message to MAIL_OUTBOX_DIR
+//   smtp    - SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (e.g. MailHog on :1025)
+const mailTransports = {
+  console: () => ({
+    async send(msg) {
+      console.log(`MAIL to=${msg.to} subject="${msg.subject}"\n${msg.text}`);
+    },
+  }),
+  file: () => ({
+    async send(msg) {
+      if (!fs.existsSync(MAIL_OUTBOX_DIR)) fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+      const file = path.join(MAIL_OUTBOX_DIR, `${Date.now()}_${crypto.randomBytes(4).toString("hex")}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ from: MAIL_FROM, ...msg, date: new Date() }, null, 2));
+    },
+  }),
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return {
+      async send(msg) {
+        await transporter.sendMail({ from: MAIL_FROM, ...msg });
+      },
+    };
+  },
+};
+if (!mailTransports[MAIL_TRANSPORT]) {
+  console.error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+  process.exit(1);
+}
+const mailer = mailTransports[MAIL_TRANSPORT]();
+
+// ---------- SMS ----------
+// Same shape as the mail transports: sms.send({ to, text }).
+//   console - print to stdout (default)
+//   file    - write one JSON file per message to SMS_OUTBOX_DIR
+//   http    - POST { to, text } as JSON to SMS_HTTP_URL, with SMS_HTTP_TOKEN
+//             as a bearer token; point it at your provider or a small relay
+const smsGateways = {
+  console: () => ({
+    async send(msg) {
+      console.log(`SMS to=${msg.to}\n${msg.text}`);
+    },
+  }),
+  file: () => ({
+    async send(msg) {
+      if (!fs.existsSync(SMS_OUTBOX_DIR)) fs.mkdirSync(SMS_OUTBOX_DIR, { recursive: true });
+      const file = path.join(SMS_OUTBOX_DIR, `${Date.now()}_${crypto.randomBytes(4).toString("hex")}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...msg, date: new Date() }, null, 2));
+    },
+  }),
+  http: () => {
+    if (!process.env.SMS_HTTP_URL) throw new Error("SMS_HTTP_URL is not set");
+    return {
+      async send(msg) {
+        const r = await fetch(process.env.SMS_HTTP_URL, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(process.env.SMS_HTTP_TOKEN ? { Authorization: "Bearer " + process.env.SMS_HTTP_TOKEN } : {}),
+          },
+          body: JSON.stringify(msg),
+        });
+        if (!r.ok) throw new Error(`SMS gateway responded ${r.status}`);
+      },
+    };
+  },
+};
+if (!smsGateways[SMS_TRANSPORT]) {
+  console.error(`Unknown SMS_TRANSPORT "${SMS_TRANSPORT}"`);
+  process.exit(1);
+}
+const sms = smsGateways[SMS_TRANSPORT]();
+
+// "+91 98765-43210" -> "+919876543210"
+function normalizePhone(phone) {
+  const p = String(phone || "").replace(/[\s\-().]/g, "");
+  return /^\+?\d{6,15}$/.test(p) ? p : null;
+}
+// the same normalization in SQL, for phone numbers stored as typed
+function phoneSql(column) {
+  return `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(${column},' ',''),'-',''),'(',''),')',''),'.','')`;
+}
+
 // ---------- Static ----------
 app.use(express.static(path.join(__dirname, "public")));
-app.use("/uploads", express.static(UPLOAD_DIR));
-app.use("/certificates", express.static(CERT_DIR));
 
 // ======================================================
 // AUTH: register & login
@@ -99,23 +1228,26 @@ app.post("/api/register", async (req, res) => {
   try {
     const { name, email, password } = req.body;
     if (!name || !email || !password) return res.json({ success: false, msg: "Missing fields" });
+    if (!isEmail(email)) return res.json({ success: false, msg: "Invalid email address" });
 
     const exist = await query("SELECT id FROM users WHERE email=?", [email]);
     if (exist.length > 0) return res.json({ success: false, msg: "Email already exists" });
 
-    const hash = await bcrypt.hash(password, 10);
-    await query("INSERT INTO users (name,email,password,role) VALUES(?,?,?,?)", [name, email, hash, "patient"]);
+    const hash = await hashPassword(password);
+    await query("INSERT INTO users (name,email,password,role,email_verified_at) VALUES(?,?,?,?,NULL)", [name, email, hash, "patient"]);
 
         // ⭐ AUTO CREATE PATIENT PROFILE ⭐
     const userRow = await query("SELECT id FROM users WHERE email=?", [email]);
     const newUserId = userRow[0].id;
 
-    await query(
+    const newPatient = await query(
       "INSERT INTO patients (user_id, name) VALUES (?, ?)",
       [newUserId, name]
     );
+    await assignHealthId(newPatient.insertId);
 
-    return res.json({ success: true });
+    await sendVerificationEmail({ id: newUserId, name, email });
+    return res.json({ success: true, msg: "Check your email to verify your account" });
   } catch (err) {
     console.error("REGISTER ERROR:", err);
     return sendErr(res, err, "Server error");
@@ -128,120 +1260,2372 @@ app.post("/api/login", async (req, res) => {
     if (!email || !password) return res.json({ success: false, msg: "Missing" });
 
     const rows = await query("SELECT * FROM users WHERE email=?", [email]);
-    if (!rows.length) return res.json({ success: false, msg: "Invalid credentials" });
+    const user = rows[0] || null;
 
-    const user = rows[0];
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.json({ success: false, msg: "Invalid credentials" });
+    const attempt = await startLoginAttempt(req.ip, user, email);
+    if (attempt.block) return sendThrottled(res, attempt.block);
+
+    // unknown emails pay for a compare too, so timing doesn't reveal accounts
+    const ok = await bcrypt.compare(password, user ? user.password : await dummyPasswordHash());
+    if (!user || !ok) {
+      await recordLoginFailure(req.ip, email, user, user ? "bad_password" : "unknown_email", attempt.id);
+      return res.json({ success: false, msg: "Invalid credentials" });
+    }
+    if (!user.is_active) {
+      await cancelLoginAttempt(attempt.id);
+      return res.json({ success: false, msg: "Account deactivated" });
+    }
 
         // ⭐ AUTO CREATE PATIENT RECORD IF NOT EXISTS ⭐
     if (user.role === "patient") {
       const pat = await query("SELECT id FROM patients WHERE user_id=?", [user.id]);
 
       if (pat.length === 0) {
-        await query(`
+        const created = await query(`
           INSERT INTO patients (user_id, name)
           VALUES (?, ?)
         `, [user.id, user.name]);
+        await assignHealthId(created.insertId);
       }
     }
 
-    const token = jwt.sign({ id: user.id, role: user.role }, JWT_SECRET, { expiresIn: "12h" });
-    return res.json({ success: true, token, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+    // second step required: hand out a short-lived challenge instead of tokens
+    if (user.totp_enabled_at) {
+      await cancelLoginAttempt(attempt.id);
+      return res.json(mfaChallenge(user));
+    }
+
+    await recordLoginSuccess(req.ip, user, attempt.id);
+    return res.json(await loginResponse(user, req));
   } catch (err) {
     console.error("LOGIN ERROR:", err);
     return sendErr(res, err, "Server error");
   }
 });
 
-// ======================================================
-// PATIENT PROFILE
-// ======================================================
-app.get("/api/patient/profile", auth, async (req, res) => {
-  try {
-    const rows = await query("SELECT * FROM patients WHERE user_id=?", [req.user.id]);
-    if (rows.length) return res.json(rows[0]);
-    return res.json({ id: null, name: req.user.name });
-  } catch (err) {
-    return sendErr(res, err);
-  }
-});
+// Response for 2FA accounts; finish with /api/login/2fa
+function mfaChallenge(user) {
+  const challenge_token = jwt.sign({ id: user.id, purpose: "2fa", tv: user.token_version }, JWT_SECRET, {
+    expiresIn: "5m",
+  });
+  return { success: true, mfa_required: true, challenge_token };
+}
+
+// Body of a successful login, shared by every login path
+async function loginResponse(user, req) {
+  const { token, refresh_token } = await issueTokens(user, await createSession(user, req));
+  const permissions = await permissionsFor(user.role);
+  return {
+    success: true,
+    token,
+    refresh_token,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions,
+      email_verified: !!user.email_verified_at,
+      totp_enabled: !!user.totp_enabled_at,
+    },
+  };
+}
 
-app.post("/api/patient/profile", auth, upload.single("id_proof"), async (req, res) => {
+// Step two of login for 2FA accounts: { challenge_token, code } or
+// { challenge_token, recovery_code }
+app.post("/api/login/2fa", async (req, res) => {
   try {
-    const { name, dob, phone, gender, medical_history, address } = req.body;
-    const id_proof = req.file ? "/uploads/" + req.file.filename : null;
+    const { challenge_token, code, recovery_code } = req.body;
+    let data;
+    try {
+      data = jwt.verify(String(challenge_token || ""), JWT_SECRET);
+    } catch (e) {
+      return res.status(401).json({ success: false, msg: "Login expired, please sign in again" });
+    }
+    if (data.purpose !== "2fa") return res.status(401).json({ success: false, msg: "Invalid challenge" });
 
-    const exists = await query("SELECT * FROM patients WHERE user_id=?", [req.user.id]);
-    if (exists.length) {
-      await query(
-        "UPDATE patients SET name=?,dob=?,phone=?,gender=?,medical_history=?,address=?,id_proof=? WHERE user_id=?",
-        [name, dob || null, phone || null, gender || null, medical_history || null, address || null, id_proof || exists[0].id_proof, req.user.id]
+    const rows = await query("SELECT * FROM users WHERE id=?", [data.id]);
+    if (!rows.length || !rows[0].is_active || rows[0].token_version !== data.tv || !rows[0].totp_enabled_at) {
+      return res.status(401).json({ success: false, msg: "Invalid challenge" });
+    }
+    const user = rows[0];
+
+    const block = await loginThrottle(req.ip, user);
+    if (block) return sendThrottled(res, block);
+
+    if (recovery_code) {
+      const used = await query(
+        "UPDATE totp_recovery_codes SET used_at=NOW() WHERE user_id=? AND code_hash=? AND used_at IS NULL",
+        [user.id, sha256(String(recovery_code).trim().toLowerCase())]
       );
+      if (!used.affectedRows) {
+        await recordLoginFailure(req.ip, user.email, user, "bad_recovery_code");
+        return res.json({ success: false, msg: "Invalid recovery code" });
+      }
     } else {
-      await query(
-        "INSERT INTO patients (user_id,name,dob,phone,gender,medical_history,address,id_proof) VALUES(?,?,?,?,?,?,?,?)",
-        [req.user.id, name, dob || null, phone || null, gender || null, medical_history || null, address || null, id_proof]
-      );
+      if (!(await consumeTotp(user, code))) {
+        await recordLoginFailure(req.ip, user.email, user, "bad_totp");
+        return res.json({ success: false, msg: "Invalid code" });
+      }
     }
-    return res.json({ success: true });
+
+    await recordLoginSuccess(req.ip, user);
+    return res.json(await loginResponse(user, req));
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-// ======================================================
-// VACCINES
-// ======================================================
-app.get("/api/vaccines", auth, async (req, res) => {
+// Exchange a refresh token for a new access + refresh token pair. The old
+// refresh token is revoked; presenting an already-revoked one revokes every
+// token the user holds, since it means the token was copied (unless it was
+// rotated within the last REFRESH_REUSE_GRACE_SECONDS).
+const REFRESH_TOKEN_SQL =
+  "SELECT *, TIMESTAMPDIFF(SECOND, revoked_at, NOW()) AS revoked_ago FROM refresh_tokens WHERE token_hash=?";
+
+app.post("/api/token/refresh", async (req, res) => {
   try {
-    const rows = await query("SELECT * FROM vaccines ORDER BY id DESC");
-    return res.json(rows);
+    const { refresh_token } = req.body;
+    if (!refresh_token) return res.status(401).json({ success: false, msg: "Missing refresh token" });
+
+    let rows = await query(REFRESH_TOKEN_SQL, [sha256(refresh_token)]);
+    if (!rows.length) return res.status(401).json({ success: false, msg: "Invalid refresh token" });
+    let rt = rows[0];
+    let state = refreshTokenState(rt);
+    if (state === "expired") return res.status(401).json({ success: false, msg: "Refresh token expired" });
+
+    // claim the token; losing the race to a concurrent refresh lands in "grace"
+    if (state === "ok") {
+      const claim = await query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE id=? AND revoked_at IS NULL", [rt.id]);
+      if (!claim.affectedRows) {
+        rows = await query(REFRESH_TOKEN_SQL, [sha256(refresh_token)]);
+        rt = rows[0];
+        state = refreshTokenState(rt);
+      }
+    }
+    if (state === "reused") {
+      await revokeUserTokens(rt.user_id);
+      return res.status(401).json({ success: false, msg: "Refresh token reused" });
+    }
+
+    const users = await query("SELECT * FROM users WHERE id=?", [rt.user_id]);
+    if (!users.length || !users[0].is_active) return res.status(401).json({ success: false, msg: "Account deactivated" });
+
+    const sess = await query("SELECT id FROM sessions WHERE id=? AND revoked_at IS NULL", [rt.session_id]);
+    if (!sess.length) return res.status(401).json({ success: false, msg: "Session ended" });
+    touchSession(rt.session_id, req);
+
+    const tokens = await issueTokens(users[0], rt.session_id);
+    if (state === "ok") await query("UPDATE refresh_tokens SET replaced_by=? WHERE id=?", [tokens.refresh_token_id, rt.id]);
+    return res.json({ success: true, token: tokens.token, refresh_token: tokens.refresh_token });
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.post("/api/vaccines", auth, async (req, res) => {
+// End the session the refresh token belongs to; { all: true } signs out
+// every device.
+app.post("/api/logout", async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
-    const { name, dose_type, required_age, description, side_effects, manufacturer } = req.body;
-    await query("INSERT INTO vaccines (name,dose_type,required_age,description,side_effects,manufacturer) VALUES(?,?,?,?,?,?)", [
-      name,
-      dose_type || null,
-      required_age || 0,
-      description || null,
-      side_effects || null,
-      manufacturer || null,
-    ]);
+    const { refresh_token, all } = req.body;
+    if (!refresh_token) return res.json({ success: true });
+
+    const rows = await query("SELECT * FROM refresh_tokens WHERE token_hash=?", [sha256(refresh_token)]);
+    if (!rows.length) return res.json({ success: true });
+
+    if (all) await revokeUserTokens(rows[0].user_id);
+    else await revokeSession(rows[0].session_id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// PHONE LOGIN (one-time code by SMS)
+// ======================================================
+// The account whose own patient profile has this phone number; numbers
+// shared by several accounts can't be used to log in
+async function userByPhone(phone) {
+  const rows = await query(
+    `SELECT u.* FROM users u JOIN patients p ON p.user_id = u.id WHERE ${phoneSql("p.phone")} = ?`,
+    [phone]
+  );
+  return rows.length === 1 ? rows[0] : null;
+}
+
+// Body: { phone }. Answers the same whether or not the number is known.
+app.post("/api/login/otp/request", async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) return res.json({ success: false, msg: "Invalid phone number" });
+
+    const block = await loginThrottle(req.ip, null);
+    if (block) return sendThrottled(res, block);
+
+    const [recent] = await query(
+      `SELECT COUNT(*) AS c, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since
+       FROM phone_otps WHERE phone=? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+      [phone]
+    );
+    if (recent.c >= OTP_MAX_PER_HOUR) {
+      return sendThrottled(res, { msg: "Too many codes requested, try again later", retry_after: 3600 - recent.since });
+    }
+    if (recent.c && recent.since < OTP_RESEND_SECONDS) {
+      return sendThrottled(res, { msg: "Please wait before requesting another code", retry_after: OTP_RESEND_SECONDS - recent.since });
+    }
+
+    const user = await userByPhone(phone);
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    // a new code replaces any earlier one
+    await query("UPDATE phone_otps SET consumed_at=NOW() WHERE phone=? AND consumed_at IS NULL", [phone]);
+    await query(
+      "INSERT INTO phone_otps (phone,user_id,code_hash,ip,expires_at) VALUES(?,?,?,?,DATE_ADD(NOW(), INTERVAL ? MINUTE))",
+      [phone, user ? user.id : null, sha256(code), req.ip, OTP_TTL_MINUTES]
+    );
+    if (user && user.is_active) {
+      await sms.send({ to: phone, text: `Your login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.` });
+    }
+    return res.json({ success: true, msg: "If this number belongs to an account, a code has been sent", expires_in: OTP_TTL_MINUTES * 60 });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Body: { phone, code }. Same response as /api/login (including the 2FA step).
+app.post("/api/login/otp/verify", async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const code = String(req.body.code || "").trim();
+    if (!phone || !code) return res.json({ success: false, msg: "Missing" });
+
+    const block = await loginThrottle(req.ip, null);
+    if (block) return sendThrottled(res, block);
+
+    const rows = await query(
+      "SELECT * FROM phone_otps WHERE phone=? AND consumed_at IS NULL AND expires_at > NOW() ORDER BY id DESC LIMIT 1",
+      [phone]
+    );
+    const otp = rows[0];
+    if (!otp) return res.json({ success: false, msg: "Code expired, please request a new one" });
+
+    const users = otp.user_id ? await query("SELECT * FROM users WHERE id=?", [otp.user_id]) : [];
+    const user = users[0] || null;
+    if (user) {
+      const userBlock = await loginThrottle(req.ip, user);
+      if (userBlock) return sendThrottled(res, userBlock);
+    }
+
+    // count the attempt before comparing, so parallel guesses can't go past the limit
+    const counted = await query("UPDATE phone_otps SET attempts = attempts + 1 WHERE id=? AND consumed_at IS NULL AND attempts < ?", [
+      otp.id,
+      OTP_MAX_ATTEMPTS,
+    ]);
+    if (counted.affectedRows !== 1) return res.json({ success: false, msg: "Code expired, please request a new one" });
+
+    const ok = user && crypto.timingSafeEqual(Buffer.from(otp.code_hash), Buffer.from(sha256(code)));
+    if (!ok) {
+      await query("UPDATE phone_otps SET consumed_at=NOW() WHERE id=? AND consumed_at IS NULL AND attempts >= ?", [otp.id, OTP_MAX_ATTEMPTS]);
+      await recordLoginFailure(req.ip, user ? user.email : null, user, "bad_otp");
+      const left = OTP_MAX_ATTEMPTS - otp.attempts - 1;
+      return res.json({ success: false, msg: left > 0 ? "Invalid code" : "Too many wrong codes, please request a new one" });
+    }
+    // single use: of two requests with the right code only one gets here
+    const claim = await query("UPDATE phone_otps SET consumed_at=NOW() WHERE id=? AND consumed_at IS NULL", [otp.id]);
+    if (claim.affectedRows !== 1) return res.json({ success: false, msg: "Code expired, please request a new one" });
+    if (!user.is_active) return res.json({ success: false, msg: "Account deactivated" });
+
+    if (user.totp_enabled_at) return res.json(mfaChallenge(user));
+
+    await recordLoginSuccess(req.ip, user);
+    return res.json(await loginResponse(user, req));
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// API KEYS
+// ======================================================
+const API_KEY_COLUMNS = "k.id,k.name,k.key_prefix,k.scopes,k.created_by,k.created_at,k.expires_at,k.last_used_at,k.revoked_at";
+
+app.get("/api/api-keys", auth, denyImpersonation, requirePermission("api_keys:manage"), async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT ${API_KEY_COLUMNS}, u.name AS created_by_name
+       FROM api_keys k LEFT JOIN users u ON u.id = k.created_by
+       ORDER BY k.created_at DESC`
+    );
+    for (const r of rows) r.scopes = JSON.parse(r.scopes);
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// { name, scopes: ["records:read", ...], expires_in_days? }. Keys belong to
+// no center, so add "centers:all" for center-scoped data. The key itself is
+// only ever returned here; the database keeps its sha256.
+app.post("/api/api-keys", auth, denyImpersonation, requirePermission("api_keys:manage"), async (req, res) => {
+  try {
+    // keys are minted by people: a key holding api_keys:manage could otherwise
+    // issue itself a successor with no expiry
+    if (req.user.id == null) return res.status(403).json({ success: false, msg: "API keys can only be created from a user session" });
+    const { name, scopes, expires_in_days } = req.body;
+    if (!name) return res.json({ success: false, msg: "Name required" });
+    if (!Array.isArray(scopes) || !scopes.length) return res.json({ success: false, msg: "At least one scope required" });
+
+    const errMsg = checkPermissionNames(scopes);
+    if (errMsg) return res.json({ success: false, msg: errMsg });
+    // a key can't do more than the person issuing it
+    const beyond = scopes.filter((sc) => !hasPermission(req.user, sc));
+    if (beyond.length) return res.json({ success: false, msg: "You don't have: " + beyond.join(", ") });
+
+    const days = Number(expires_in_days) || null;
+    const key_prefix = API_KEY_PREFIX + crypto.randomBytes(4).toString("hex");
+    const key = key_prefix + "_" + crypto.randomBytes(24).toString("base64url");
+
+    const result = await query(
+      `INSERT INTO api_keys (name,key_prefix,key_hash,scopes,created_by,expires_at)
+       VALUES(?,?,?,?,?,${days ? "DATE_ADD(NOW(), INTERVAL ? DAY)" : "NULL"})`,
+      [name, key_prefix, sha256(key), JSON.stringify([...new Set(scopes)]), req.user.id, ...(days ? [days] : [])]
+    );
+    return res.json({ success: true, id: result.insertId, key });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/api-keys/:id", auth, denyImpersonation, requirePermission("api_keys:manage"), async (req, res) => {
+  try {
+    const result = await query("UPDATE api_keys SET revoked_at=NOW() WHERE id=? AND revoked_at IS NULL", [req.params.id]);
+    if (!result.affectedRows) return res.json({ success: false, msg: "Key not found or already revoked" });
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// SESSIONS
+// ======================================================
+const SESSION_COLUMNS = "id,user_agent,ip,created_at,last_seen_at,revoked_at";
+
+app.get("/api/sessions", auth, denyImpersonation, async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE user_id=? AND revoked_at IS NULL ORDER BY last_seen_at DESC`,
+      [req.user.id]
+    );
+    for (const r of rows) r.current = r.id === req.user.session_id;
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/sessions/:id", auth, denyImpersonation, async (req, res) => {
+  try {
+    const rows = await query("SELECT id FROM sessions WHERE id=? AND user_id=?", [req.params.id, req.user.id]);
+    if (!rows.length) return res.json({ success: false, msg: "Session not found" });
+    await revokeSession(rows[0].id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Sign out everywhere; ?except_current=1 keeps this device logged in
+app.delete("/api/sessions", auth, denyImpersonation, async (req, res) => {
+  try {
+    const keep = req.query.except_current === "1" ? req.user.session_id : 0;
+    const rows = await query("SELECT id FROM sessions WHERE user_id=? AND revoked_at IS NULL AND id<>?", [req.user.id, keep]);
+    for (const r of rows) await revokeSession(r.id);
+    return res.json({ success: true, revoked: rows.length });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Admin view; ?all=1 includes ended sessions
+app.get("/api/users/:id/sessions", auth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE user_id=? ${req.query.all === "1" ? "" : "AND revoked_at IS NULL"}
+       ORDER BY last_seen_at DESC LIMIT 200`,
+      [req.params.id]
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/users/:id/sessions/:sid", auth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const rows = await query("SELECT id FROM sessions WHERE id=? AND user_id=?", [req.params.sid, req.params.id]);
+    if (!rows.length) return res.json({ success: false, msg: "Session not found" });
+    await revokeSession(rows[0].id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/users/:id/sessions", auth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const rows = await query("SELECT id FROM sessions WHERE user_id=? AND revoked_at IS NULL", [req.params.id]);
+    for (const r of rows) await revokeSession(r.id);
+    return res.json({ success: true, revoked: rows.length });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// IMPERSONATION ("view as user")
+// ======================================================
+// Body: { reason, minutes?, allow_write? }. Returns a short-lived access
+// token for the user; there is no refresh token, so it simply expires.
+app.post("/api/users/:id/impersonate", auth, requirePermission("users:impersonate"), async (req, res) => {
+  try {
+    if (!req.user.id) return res.status(403).json({ success: false, msg: "Not available for API keys" });
+    const reason = String(req.body.reason || "").trim();
+    if (!reason) return res.json({ success: false, msg: "Please give a reason" });
+    const minutes = Math.min(Number(req.body.minutes) || IMPERSONATION_MINUTES, IMPERSONATION_MAX_MINUTES);
+
+    const rows = await query("SELECT id,name,email,role,is_active FROM users WHERE id=?", [req.params.id]);
+    if (!rows.length) return res.json({ success: false, msg: "User not found" });
+    const target = rows[0];
+    if (!target.is_active) return res.json({ success: false, msg: "Account is deactivated" });
+    if (target.id === req.user.id || target.role === "admin") {
+      return res.status(403).json({ success: false, msg: "Cannot impersonate this account" });
+    }
+
+    const result = await query(
+      "INSERT INTO impersonations (admin_id,user_id,reason,allow_write,ip,expires_at) VALUES(?,?,?,?,?,DATE_ADD(NOW(), INTERVAL ? MINUTE))",
+      [req.user.id, target.id, reason, req.body.allow_write ? 1 : 0, req.ip, minutes]
+    );
+    const token = jwt.sign({ id: target.id, imp: result.insertId, atv: req.user.token_version || 0 }, JWT_SECRET, { expiresIn: minutes * 60 });
+    return res.json({
+      success: true,
+      token,
+      impersonation_id: result.insertId,
+      expires_in: minutes * 60,
+      read_only: !req.body.allow_write,
+      user: { id: target.id, name: target.name, email: target.email, role: target.role },
+    });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Called with the impersonation token itself
+app.post("/api/impersonation/end", auth, async (req, res) => {
+  try {
+    if (!req.impersonation) return res.json({ success: false, msg: "Not impersonating" });
+    await query("UPDATE impersonations SET ended_at=NOW() WHERE id=?", [req.impersonation.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Audit trail; filter with ?admin_id= / ?user_id=
+app.get("/api/impersonations", auth, requirePermission("users:impersonate"), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.admin_id) { where.push("i.admin_id=?"); params.push(req.query.admin_id); }
+    if (req.query.user_id) { where.push("i.user_id=?"); params.push(req.query.user_id); }
+    const rows = await query(
+      `SELECT i.*, a.name AS admin_name, u.name AS user_name, u.email AS user_email,
+         (SELECT COUNT(*) FROM impersonation_log l WHERE l.impersonation_id = i.id) AS requests
+       FROM impersonations i
+       LEFT JOIN users a ON a.id = i.admin_id
+       LEFT JOIN users u ON u.id = i.user_id
+       ${where.length ? "WHERE " + where.join(" AND ") : ""}
+       ORDER BY i.created_at DESC LIMIT 200`,
+      params
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/impersonations/:id/log", auth, requirePermission("users:impersonate"), async (req, res) => {
+  try {
+    const rows = await query("SELECT method,path,blocked,created_at FROM impersonation_log WHERE impersonation_id=? ORDER BY id", [
+      req.params.id,
+    ]);
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Admins can cut an impersonation short
+app.delete("/api/impersonations/:id", auth, requirePermission("users:impersonate"), async (req, res) => {
+  try {
+    await query("UPDATE impersonations SET ended_at=NOW() WHERE id=? AND ended_at IS NULL", [req.params.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// TWO-FACTOR AUTHENTICATION
+// ======================================================
+async function newRecoveryCodes(userId) {
+  const codes = [];
+  await query("DELETE FROM totp_recovery_codes WHERE user_id=?", [userId]);
+  for (let i = 0; i < 10; i++) {
+    const code = crypto.randomBytes(5).toString("hex");
+    codes.push(code);
+    await query("INSERT INTO totp_recovery_codes (user_id,code_hash) VALUES(?,?)", [userId, sha256(code)]);
+  }
+  return codes;
+}
+
+async function totpUser(userId) {
+  const rows = await query("SELECT * FROM users WHERE id=?", [userId]);
+  return rows[0];
+}
+
+// Start enrollment: a fresh secret is kept pending until /enable confirms a code
+app.post("/api/2fa/setup", auth, denyImpersonation, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) return res.json({ success: false, msg: "Two-factor authentication is already enabled" });
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await query("UPDATE users SET totp_pending_secret=? WHERE id=?", [encryptSecret(secret), req.user.id]);
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.email}`);
+    const otpauth_uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=30`;
+    const qr = await QRCode.toDataURL(otpauth_uri);
+    return res.json({ success: true, secret, otpauth_uri, qr });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Confirm enrollment with a code from the app; returns the recovery codes once
+app.post("/api/2fa/enable", auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await totpUser(req.user.id);
+    if (user.totp_enabled_at) return res.json({ success: false, msg: "Two-factor authentication is already enabled" });
+    if (!user.totp_pending_secret) return res.json({ success: false, msg: "Start setup first" });
+
+    const secret = decryptSecret(user.totp_pending_secret);
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) return res.json({ success: false, msg: "Invalid code" });
+
+    await query(
+      "UPDATE users SET totp_secret=?, totp_pending_secret=NULL, totp_enabled_at=NOW(), totp_last_step=? WHERE id=?",
+      [user.totp_pending_secret, step, user.id]
+    );
+    const recovery_codes = await newRecoveryCodes(user.id);
+    return res.json({ success: true, recovery_codes });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Replace the recovery codes (requires a current code)
+app.post("/api/2fa/recovery-codes", auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await totpUser(req.user.id);
+    if (!user.totp_enabled_at) return res.json({ success: false, msg: "Two-factor authentication is not enabled" });
+
+    if (!(await consumeTotp(user, req.body.code))) return res.json({ success: false, msg: "Invalid code" });
+
+    const recovery_codes = await newRecoveryCodes(user.id);
+    return res.json({ success: true, recovery_codes });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/2fa/disable", auth, denyImpersonation, async (req, res) => {
+  try {
+    if (TOTP_ENFORCE && isPrivileged(req.user)) {
+      return res.json({ success: false, msg: "Two-factor authentication is required for this account" });
+    }
+    const user = await totpUser(req.user.id);
+    if (!user.totp_enabled_at) return res.json({ success: false, msg: "Two-factor authentication is not enabled" });
+
+    const { password, code } = req.body;
+    if (!password || !(await bcrypt.compare(password, user.password))) return res.json({ success: false, msg: "Wrong password" });
+    if (!(await consumeTotp(user, code))) return res.json({ success: false, msg: "Invalid code" });
+
+    await query(
+      "UPDATE users SET totp_secret=NULL, totp_pending_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL WHERE id=?",
+      [user.id]
+    );
+    await query("DELETE FROM totp_recovery_codes WHERE user_id=?", [user.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Admin reset for a lost device; the user has to enroll again
+app.post("/api/users/:id/2fa/reset", auth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const result = await query(
+      "UPDATE users SET totp_secret=NULL, totp_pending_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL WHERE id=?",
+      [req.params.id]
+    );
+    if (!result.affectedRows) return res.json({ success: false, msg: "User not found" });
+    await query("DELETE FROM totp_recovery_codes WHERE user_id=?", [req.params.id]);
+    await revokeUserTokens(req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// LOGIN ATTEMPTS & LOCKOUT
+// ======================================================
+// ?email= / ?ip= / ?user_id= filter; ?failed=1 for failures only
+app.get("/api/admin/login-attempts", auth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.email) { where.push("la.email=?"); params.push(req.query.email); }
+    if (req.query.ip) { where.push("la.ip=?"); params.push(req.query.ip); }
+    if (req.query.user_id) { where.push("la.user_id=?"); params.push(req.query.user_id); }
+    if (req.query.failed === "1") where.push("la.success=0");
+    const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || 100, 500));
+
+    const rows = await query(
+      `SELECT la.*, u.name AS user_name, u.locked_until
+       FROM login_attempts la
+       LEFT JOIN users u ON u.id = la.user_id
+       ${where.length ? "WHERE " + where.join(" AND ") : ""}
+       ORDER BY la.created_at DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/users/:id/unlock", auth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const result = await query("UPDATE users SET failed_logins=0, locked_until=NULL, last_failed_login_at=NULL WHERE id=?", [req.params.id]);
+    if (!result.affectedRows) return res.json({ success: false, msg: "User not found" });
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// EMAIL VERIFICATION
+// ======================================================
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await query("UPDATE email_verifications SET used_at=NOW() WHERE user_id=? AND used_at IS NULL", [user.id]);
+  await query(
+    "INSERT INTO email_verifications (user_id,token_hash,expires_at) VALUES(?,?,DATE_ADD(NOW(), INTERVAL ? HOUR))",
+    [user.id, sha256(token), VERIFY_TOKEN_HOURS]
+  );
+  await mailer.send({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below. It expires in ${VERIFY_TOKEN_HOURS} hours.\n\n` +
+      `${APP_URL}/api/email/verify?token=${token}\n\n` +
+      `Until then you can log in, but you won't be able to book appointments.`,
+  });
+}
+
+// Link target from the verification email; lands back on the login page
+app.get("/api/email/verify", async (req, res) => {
+  try {
+    const token = String(req.query.token || "");
+    // mark used first so a link opened twice at once is only honoured once
+    const claim = await query(
+      "UPDATE email_verifications SET used_at=NOW() WHERE token_hash=? AND used_at IS NULL AND expires_at > NOW()",
+      [sha256(token)]
+    );
+    if (!claim.affectedRows) return res.redirect("/login.html?verified=0");
+
+    const rows = await query("SELECT user_id FROM email_verifications WHERE token_hash=?", [sha256(token)]);
+    await query("UPDATE users SET email_verified_at=NOW() WHERE id=? AND email_verified_at IS NULL", [rows[0].user_id]);
+    return res.redirect("/login.html?verified=1");
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/email/resend", auth, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) return res.json({ success: false, msg: "Email already verified" });
+
+    const recent = await query(
+      "SELECT id FROM email_verifications WHERE user_id=? AND created_at > DATE_SUB(NOW(), INTERVAL 1 MINUTE)",
+      [req.user.id]
+    );
+    if (recent.length) return res.json({ success: false, msg: "Please wait a minute before requesting another email" });
+
+    await sendVerificationEmail(req.user);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Admin override for users who can't receive the email
+app.post("/api/users/:id/verify-email", auth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const result = await query("UPDATE users SET email_verified_at=NOW() WHERE id=? AND email_verified_at IS NULL", [req.params.id]);
+    if (!result.affectedRows) return res.json({ success: false, msg: "User not found or already verified" });
+    await query("UPDATE email_verifications SET used_at=NOW() WHERE user_id=? AND used_at IS NULL", [req.params.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// PASSWORD RESET
+// ======================================================
+// Mails a reset link to an active account, at most once a minute per account
+async function sendResetLink(email) {
+  const rows = await query("SELECT id,name,email,is_active FROM users WHERE email=?", [email]);
+  if (!rows.length || !rows[0].is_active) return;
+  const user = rows[0];
+  const recent = await query("SELECT id FROM password_resets WHERE user_id=? AND created_at > DATE_SUB(NOW(), INTERVAL 1 MINUTE)", [
+    user.id,
+  ]);
+  if (recent.length) return;
+  const token = crypto.randomBytes(32).toString("hex");
+
+  // only the newest link works
+  await query("UPDATE password_resets SET used_at=NOW() WHERE user_id=? AND used_at IS NULL", [user.id]);
+  await query(
+    "INSERT INTO password_resets (user_id,token_hash,expires_at) VALUES(?,?,DATE_ADD(NOW(), INTERVAL ? MINUTE))",
+    [user.id, sha256(token), RESET_TOKEN_MINUTES]
+  );
+
+  await mailer.send({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Use the link below to choose a new password. It expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once.\n\n` +
+      `${APP_URL}/reset-password.html?token=${token}\n\n` +
+      `If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+// Always answers success so the endpoint can't be used to probe for accounts;
+// the account is looked up and mailed after the response, so its timing
+// doesn't tell either.
+app.post("/api/password/forgot", async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.json({ success: false, msg: "Email required" });
+
+    const [recent] = await query(
+      `SELECT COUNT(*) AS c, TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) AS since
+       FROM password_reset_requests WHERE ip=? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+      [req.ip]
+    );
+    if (recent.c >= RESET_MAX_PER_HOUR) {
+      return sendThrottled(res, { msg: "Too many reset requests, try again later", retry_after: Math.max(3600 - (recent.since || 0), 1) });
+    }
+    await query("INSERT INTO password_reset_requests (ip) VALUES(?)", [req.ip]);
+
+    res.json({ success: true });
+    sendResetLink(String(email)).catch((err) => console.error("RESET MAIL ERR:", err));
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/password/reset", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.json({ success: false, msg: "Missing fields" });
+
+    const hash = await hashPassword(password);
+    // claim the token before touching the password; a concurrent request
+    // with the same token gets affectedRows 0
+    const claim = await query(
+      "UPDATE password_resets SET used_at=NOW() WHERE token_hash=? AND used_at IS NULL AND expires_at > NOW()",
+      [sha256(token)]
+    );
+    if (!claim.affectedRows) return res.json({ success: false, msg: "Reset link is invalid or has expired" });
+    const [reset] = await query("SELECT user_id FROM password_resets WHERE token_hash=?", [sha256(token)]);
+
+    await query("UPDATE users SET password=? WHERE id=?", [hash, reset.user_id]);
+    await query("UPDATE password_resets SET used_at=NOW() WHERE user_id=? AND used_at IS NULL", [reset.user_id]);
+    await revokeUserTokens(reset.user_id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// STAFF
+// ======================================================
+// Staff roles are the rows in `roles` flagged is_staff (see DEFAULT_ROLES).
+const STAFF_ROLE_SQL = "SELECT name FROM roles WHERE is_staff=1";
+
+async function isStaffRole(role) {
+  const rows = await query("SELECT name FROM roles WHERE name=? AND is_staff=1", [role]);
+  return rows.length > 0;
+}
+
+// Directory used by the "assign to" dropdown (active staff only).
+// Admins can pass ?all=1 to include deactivated accounts.
+app.get("/api/staff", auth, requirePermission("staff:read"), async (req, res) => {
+  try {
+    const includeInactive = req.query.all === "1";
+    const rows = await query(
+      `SELECT id,name,email,role,is_active FROM users
+       WHERE role IN (${STAFF_ROLE_SQL}) ${includeInactive ? "" : "AND is_active=1"}
+       ORDER BY name ASC`
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/staff/:id", auth, requirePermission("staff:read"), async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT id,name,email,role,is_active FROM users WHERE id=? AND role IN (${STAFF_ROLE_SQL})`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.json({});
+    const centers = await query("SELECT center_id FROM user_centers WHERE user_id=?", [rows[0].id]);
+    rows[0].center_ids = centers.map((c) => c.center_id);
+    return res.json(rows[0]);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/staff", auth, requirePermission("staff:manage"), async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+    const role = req.body.role || "staff";
+    if (!name || !email || !password) return res.json({ success: false, msg: "Missing fields" });
+    if (!(await isStaffRole(role))) return res.json({ success: false, msg: "Invalid staff role" });
+
+    const exist = await query("SELECT id FROM users WHERE email=?", [email]);
+    if (exist.length > 0) return res.json({ success: false, msg: "Email already exists" });
+
+    const hash = await hashPassword(password);
+    const result = await query(
+      "INSERT INTO users (name,email,password,role,is_active,email_verified_at) VALUES(?,?,?,?,1,NOW())",
+      [name, email, hash, role]
+    );
+    if (Array.isArray(req.body.center_ids)) await saveUserCenters(result.insertId, req.body.center_ids);
+    return res.json({ success: true, id: result.insertId });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.put("/api/staff/:id", auth, requirePermission("staff:manage"), async (req, res) => {
+  try {
+    const { name, email, password, role, is_active } = req.body;
+
+    const rows = await query(
+      `SELECT * FROM users WHERE id=? AND role IN (${STAFF_ROLE_SQL})`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.json({ success: false, msg: "Staff member not found" });
+    const s = rows[0];
+
+    if (role && !(await isStaffRole(role))) return res.json({ success: false, msg: "Invalid staff role" });
+    if (email && email !== s.email) {
+      const exist = await query("SELECT id FROM users WHERE email=? AND id<>?", [email, s.id]);
+      if (exist.length > 0) return res.json({ success: false, msg: "Email already exists" });
+    }
+    const hash = password ? await hashPassword(password) : s.password;
+
+    await query("UPDATE users SET name=?,email=?,password=?,role=?,is_active=? WHERE id=?", [
+      name || s.name,
+      email || s.email,
+      hash,
+      role || s.role,
+      is_active === undefined ? s.is_active : (Number(is_active) ? 1 : 0),
+      s.id,
+    ]);
+    if (password || (is_active !== undefined && !Number(is_active))) await revokeUserTokens(s.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+async function saveUserCenters(userId, centerIds) {
+  await query("DELETE FROM user_centers WHERE user_id=?", [userId]);
+  for (const cid of new Set(centerIds.map(Number).filter(Boolean))) {
+    await query("INSERT INTO user_centers (user_id,center_id) VALUES(?,?)", [userId, cid]);
+  }
+}
+
+// Replace the set of centers a staff member works at
+app.put("/api/staff/:id/centers", auth, requirePermission("staff:manage"), async (req, res) => {
+  try {
+    const { center_ids } = req.body;
+    if (!Array.isArray(center_ids)) return res.json({ success: false, msg: "center_ids must be a list" });
+
+    const rows = await query(`SELECT id FROM users WHERE id=? AND role IN (${STAFF_ROLE_SQL})`, [req.params.id]);
+    if (!rows.length) return res.json({ success: false, msg: "Staff member not found" });
+
+    await saveUserCenters(rows[0].id, center_ids);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Staff are never hard-deleted: vaccination_records.given_by and
+// appointments.assigned_to still point at them.
+app.delete("/api/staff/:id", auth, requirePermission("staff:manage"), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE users SET is_active=0 WHERE id=? AND role IN (${STAFF_ROLE_SQL})`,
+      [req.params.id]
+    );
+    if (result.affectedRows) await revokeUserTokens(req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// ROLES & PERMISSIONS
+// ======================================================
+app.get("/api/permissions", auth, requirePermission("roles:manage"), async (req, res) => {
+  return res.json(PERMISSIONS);
+});
+
+app.get("/api/roles", auth, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const roles = await query("SELECT * FROM roles ORDER BY name ASC");
+    for (const r of roles) r.permissions = await permissionsFor(r.name);
+    return res.json(roles);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Returns an error message, or null if every permission is known
+function checkPermissionNames(permissions) {
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  return unknown.length ? "Unknown permission: " + unknown.join(", ") : null;
+}
+
+async function saveRolePermissions(role, permissions) {
+  await query("DELETE FROM role_permissions WHERE role=?", [role]);
+  for (const perm of new Set(permissions)) {
+    await query("INSERT INTO role_permissions (role,permission) VALUES(?,?)", [role, perm]);
+  }
+  permissionCache.delete(role);
+}
+
+app.post("/api/roles", auth, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const { name, description, is_staff, permissions } = req.body;
+    if (!name || !/^[a-z][a-z0-9_]{1,31}$/.test(name)) return res.json({ success: false, msg: "Invalid role name" });
+
+    const exist = await query("SELECT name FROM roles WHERE name=?", [name]);
+    if (exist.length) return res.json({ success: false, msg: "Role already exists" });
+
+    const errMsg = checkPermissionNames(permissions || []);
+    if (errMsg) return res.json({ success: false, msg: errMsg });
+
+    await query("INSERT INTO roles (name,description,is_staff) VALUES(?,?,?)", [name, description || null, is_staff ? 1 : 0]);
+    await saveRolePermissions(name, permissions || []);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.put("/api/roles/:name", auth, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    if (LOCKED_ROLES.includes(req.params.name)) return res.json({ success: false, msg: "This role cannot be edited" });
+    const rows = await query("SELECT * FROM roles WHERE name=?", [req.params.name]);
+    if (!rows.length) return res.json({ success: false, msg: "Role not found" });
+    const r = rows[0];
+    const { description, is_staff, permissions } = req.body;
+
+    if (Array.isArray(permissions)) {
+      const errMsg = checkPermissionNames(permissions);
+      if (errMsg) return res.json({ success: false, msg: errMsg });
+      await saveRolePermissions(r.name, permissions);
+    }
+    await query("UPDATE roles SET description=?,is_staff=? WHERE name=?", [
+      description === undefined ? r.description : description,
+      is_staff === undefined ? r.is_staff : (Number(is_staff) ? 1 : 0),
+      r.name,
+    ]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/roles/:name", auth, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    if (LOCKED_ROLES.includes(req.params.name)) return res.json({ success: false, msg: "This role cannot be deleted" });
+    const used = await query("SELECT COUNT(*) AS c FROM users WHERE role=?", [req.params.name]);
+    if (used[0].c > 0) return res.json({ success: false, msg: "Role is still assigned to users" });
+
+    await query("DELETE FROM role_permissions WHERE role=?", [req.params.name]);
+    await query("DELETE FROM roles WHERE name=?", [req.params.name]);
+    permissionCache.delete(req.params.name);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// PATIENT PROFILE
+// ======================================================
+app.get("/api/patient/profile", auth, async (req, res) => {
+  try {
+    const rows = await query("SELECT * FROM patients WHERE user_id=?", [req.user.id]);
+    if (rows.length) {
+      const p = rows[0];
+      return res.json({ ...p, allergies: jsonValue(p.allergies), conditions: jsonValue(p.conditions) });
+    }
+    return res.json({ id: null, name: req.user.name });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Fields left out of the body keep their current value.
+// allergies / conditions: array or comma-separated list of terms
+app.post("/api/patient/profile", auth, acceptUpload("id_proof"), async (req, res) => {
+  try {
+    const { name, dob, phone, gender, medical_history, address } = req.body;
+    const id_proof = req.file ? "/uploads/" + req.file.filename : null;
+
+    const exists = await query("SELECT * FROM patients WHERE user_id=?", [req.user.id]);
+    const idError = await nationalIdError(req.body, exists.length ? exists[0].id : null);
+    if (idError) return res.json({ success: false, msg: idError });
+    if (exists.length) {
+      const cur = exists[0];
+      const keep = (v, old) => (v === undefined ? old : v || null);
+      await query(
+        "UPDATE patients SET name=?,dob=?,phone=?,gender=?,medical_history=?,address=?,id_proof=? WHERE user_id=?",
+        [
+          name || cur.name,
+          keep(dob, cur.dob),
+          keep(phone, cur.phone),
+          keep(gender, cur.gender),
+          keep(medical_history, cur.medical_history),
+          keep(address, cur.address),
+          id_proof || cur.id_proof,
+          req.user.id,
+        ]
+      );
+      if (id_proof) await markIdProofPending(cur.id);
+    } else {
+      const created = await query(
+        "INSERT INTO patients (user_id,name,dob,phone,gender,medical_history,address,id_proof) VALUES(?,?,?,?,?,?,?,?)",
+        [req.user.id, name, dob || null, phone || null, gender || null, medical_history || null, address || null, id_proof]
+      );
+      await assignHealthId(created.insertId);
+      if (id_proof) await query("UPDATE patients SET id_proof_status='pending', id_proof_uploaded_at=NOW() WHERE user_id=?", [req.user.id]);
+    }
+    await saveMedicalTerms({ user_id: req.user.id }, req.body);
+    const [me] = await query("SELECT id FROM patients WHERE user_id=?", [req.user.id]);
+    await saveNationalId(me.id, req.body);
+    await recordPatientVersion(me.id, req.user.id, "profile");
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// PATIENT PROFILE VERSIONS
+// ======================================================
+const VERSIONED_FIELDS = ["name", "dob", "gender", "phone", "address", "medical_history", "allergies", "conditions", "id_number"];
+
+function versionData(row) {
+  row = jsonValue(row);
+  const data = {};
+  for (const f of VERSIONED_FIELDS) data[f] = row[f] === undefined ? null : row[f];
+  if (data.dob) data.dob = ymd(data.dob);
+  data.allergies = jsonValue(data.allergies);
+  data.conditions = jsonValue(data.conditions);
+  return data;
+}
+
+// [{ field, from, to }] for the fields that differ
+function diffVersions(a, b) {
+  return VERSIONED_FIELDS.filter((f) => JSON.stringify(a[f] ?? null) !== JSON.stringify(b[f] ?? null)).map((f) => ({
+    field: f,
+    from: a[f] ?? null,
+    to: b[f] ?? null,
+  }));
+}
+
+// Stores the patient's current profile as a new version if it differs from
+// the latest one; returns the id of the current version. Pass `conn` inside
+// a transaction.
+async function recordPatientVersion(patientId, changedBy, source, conn = null) {
+  const run = async (sql, params) => (conn ? (await conn.query(sql, params))[0] : query(sql, params));
+  const [p] = await run(`SELECT ${VERSIONED_FIELDS.join(",")} FROM patients WHERE id=?`, [patientId]);
+  if (!p) return null;
+  const data = versionData(p);
+
+  const [last] = await run("SELECT id, version, data FROM patient_versions WHERE patient_id=? ORDER BY version DESC LIMIT 1", [
+    patientId,
+  ]);
+  if (last && !diffVersions(versionData(last.data), data).length) return last.id;
+
+  const result = await run("INSERT INTO patient_versions (patient_id,version,data,changed_by,source) VALUES(?,?,?,?,?)", [
+    patientId,
+    last ? last.version + 1 : 1,
+    JSON.stringify(data),
+    changedBy,
+    source,
+  ]);
+  return result.insertId;
+}
+
+// Staff with patients:read within their centers, or the patient's own account/guardian
+async function canViewPatient(user, patientId) {
+  if (hasPermission(user, "patients:read") && (await patientInCenterScope(await centerScope(user), patientId))) return true;
+  return !!user.id && (await canManagePatient(user.id, patientId));
+}
+
+// Newest first, each with the fields it changed
+app.get("/api/patients/:id/versions", auth, async (req, res) => {
+  try {
+    if (!(await canViewPatient(req.user, req.params.id))) return res.status(403).json({ success: false, msg: "Unauthorized" });
+    const rows = await query(
+      `SELECT v.id, v.version, v.data, v.source, v.created_at, v.changed_by, u.name AS changed_by_name
+       FROM patient_versions v LEFT JOIN users u ON u.id = v.changed_by
+       WHERE v.patient_id=? ORDER BY v.version ASC`,
+      [req.params.id]
+    );
+    const out = rows.map((r, i) => ({
+      id: r.id,
+      version: r.version,
+      source: r.source,
+      created_at: r.created_at,
+      changed_by: r.changed_by,
+      changed_by_name: r.changed_by_name,
+      changed_fields: i ? diffVersions(versionData(rows[i - 1].data), versionData(r.data)).map((d) => d.field) : VERSIONED_FIELDS,
+    }));
+    return res.json(out.reverse());
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ?from=<version>&to=<version> (to defaults to the latest)
+app.get("/api/patients/:id/versions/diff", auth, async (req, res) => {
+  try {
+    if (!(await canViewPatient(req.user, req.params.id))) return res.status(403).json({ success: false, msg: "Unauthorized" });
+    const from = Number(req.query.from);
+    if (!from) return res.json({ success: false, msg: "from is required" });
+    const [a] = await query("SELECT version, data FROM patient_versions WHERE patient_id=? AND version=?", [req.params.id, from]);
+    const [b] = req.query.to
+      ? await query("SELECT version, data FROM patient_versions WHERE patient_id=? AND version=?", [req.params.id, req.query.to])
+      : await query("SELECT version, data FROM patient_versions WHERE patient_id=? ORDER BY version DESC LIMIT 1", [req.params.id]);
+    if (!a || !b) return res.json({ success: false, msg: "Version not found" });
+    return res.json({ success: true, from: a.version, to: b.version, changes: diffVersions(versionData(a.data), versionData(b.data)) });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/patients/:id/versions/:version", auth, async (req, res) => {
+  try {
+    if (!(await canViewPatient(req.user, req.params.id))) return res.status(403).json({ success: false, msg: "Unauthorized" });
+    const rows = await query(
+      `SELECT v.*, u.name AS changed_by_name FROM patient_versions v LEFT JOIN users u ON u.id = v.changed_by
+       WHERE v.patient_id=? AND v.version=?`,
+      [req.params.id, req.params.version]
+    );
+    if (!rows.length) return res.json({ success: false, msg: "Version not found" });
+    return res.json({ ...rows[0], data: versionData(rows[0].data) });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// GUARDIANS & DEPENDENTS
+// ======================================================
+// Every patient profile the user may act for: their own plus dependents
+async function managedPatientIds(userId) {
+  const rows = await query(
+    `SELECT id FROM patients WHERE user_id=?
+     UNION SELECT patient_id AS id FROM patient_guardians WHERE user_id=?`,
+    [userId, userId]
+  );
+  return rows.map((r) => r.id);
+}
+
+async function canManagePatient(userId, patientId) {
+  return (await managedPatientIds(userId)).includes(Number(patientId));
+}
+
+// Patient ids a patient-side list should cover: ?patient_id=<id> for one
+// dependent, ?patient_id=all for the user and every dependent, otherwise the
+// user's own profile. An id the user doesn't manage yields [].
+async function requestedPatientIds(req) {
+  const pid = req.query.patient_id;
+  if (!pid) {
+    const own = await query("SELECT id FROM patients WHERE user_id=?", [req.user.id]);
+    return own.map((r) => r.id);
+  }
+  const managed = await managedPatientIds(req.user.id);
+  if (pid === "all") return managed;
+  return managed.includes(Number(pid)) ? [Number(pid)] : [];
+}
+
+app.get("/api/dependents", auth, async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT p.*, g.relationship
+       FROM patient_guardians g
+       JOIN patients p ON p.id = g.patient_id
+       WHERE g.user_id=?
+       ORDER BY p.name ASC`,
+      [req.user.id]
+    );
+    return res.json(rows.map((p) => ({ ...p, allergies: jsonValue(p.allergies), conditions: jsonValue(p.conditions) })));
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/dependents", auth, async (req, res) => {
+  try {
+    if (req.user.role !== "patient") return res.status(403).json({ success: false, msg: "Only patients can add dependents" });
+    const { name, dob, gender, relationship, medical_history } = req.body;
+    if (!name) return res.json({ success: false, msg: "Name required" });
+    const idError = await nationalIdError(req.body, null);
+    if (idError) return res.json({ success: false, msg: idError });
+
+    const result = await query(
+      "INSERT INTO patients (user_id,name,dob,gender,medical_history) VALUES(NULL,?,?,?,?)",
+      [name, dob || null, gender || null, medical_history || null]
+    );
+    await assignHealthId(result.insertId);
+    await saveNationalId(result.insertId, req.body);
+    await query("INSERT INTO patient_guardians (patient_id,user_id,relationship) VALUES(?,?,?)", [
+      result.insertId,
+      req.user.id,
+      relationship || null,
+    ]);
+    await saveMedicalTerms({ id: result.insertId }, req.body);
+    await recordPatientVersion(result.insertId, req.user.id, "dependent");
+    return res.json({ success: true, id: result.insertId });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.put("/api/dependents/:id", auth, async (req, res) => {
+  try {
+    const link = await query("SELECT * FROM patient_guardians WHERE patient_id=? AND user_id=?", [req.params.id, req.user.id]);
+    if (!link.length) return res.json({ success: false, msg: "Dependent not found" });
+
+    const { name, dob, gender, relationship, medical_history } = req.body;
+    if (!name) return res.json({ success: false, msg: "Name required" });
+    const idError = await nationalIdError(req.body, req.params.id);
+    if (idError) return res.json({ success: false, msg: idError });
+    await saveNationalId(req.params.id, req.body);
+    await query("UPDATE patients SET name=?,dob=?,gender=?,medical_history=? WHERE id=?", [
+      name,
+      dob || null,
+      gender || null,
+      medical_history || null,
+      req.params.id,
+    ]);
+    await saveMedicalTerms({ id: req.params.id }, req.body);
+    await recordPatientVersion(req.params.id, req.user.id, "dependent");
+    if (relationship !== undefined) {
+      await query("UPDATE patient_guardians SET relationship=? WHERE patient_id=? AND user_id=?", [
+        relationship || null,
+        req.params.id,
+        req.user.id,
+      ]);
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Unlinks the dependent; the patient row and its vaccination records stay
+app.delete("/api/dependents/:id", auth, async (req, res) => {
+  try {
+    await query("DELETE FROM patient_guardians WHERE patient_id=? AND user_id=?", [req.params.id, req.user.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// ID PROOF VERIFICATION
+// ======================================================
+async function markIdProofPending(patientId) {
+  await query(
+    `UPDATE patients SET id_proof_status='pending', id_proof_note=NULL, id_proof_uploaded_at=NOW(),
+       id_proof_reviewed_by=NULL, id_proof_reviewed_at=NULL
+     WHERE id=?`,
+    [patientId]
+  );
+}
+
+// The patient's own account plus their guardians
+async function notifyPatient(patientId, title, message) {
+  const rows = await query(
+    `SELECT user_id FROM patients WHERE id=? AND user_id IS NOT NULL
+     UNION SELECT user_id FROM patient_guardians WHERE patient_id=?`,
+    [patientId, patientId]
+  );
+  for (const r of rows) {
+    await query("INSERT INTO notifications (user_id,title,message) VALUES (?,?,?)", [r.user_id, title, message]);
+  }
+}
+
+// Upload or replace an ID proof; body patient_id for a dependent
+app.post("/api/patient/id-proof", auth, acceptUpload("id_proof"), async (req, res) => {
+  try {
+    if (!req.file) return res.json({ success: false, msg: "No file uploaded" });
+    let patientId = req.body.patient_id;
+    if (!patientId) {
+      const own = await query("SELECT id FROM patients WHERE user_id=?", [req.user.id]);
+      patientId = own.length ? own[0].id : null;
+    }
+    if (!patientId || !(await canManagePatient(req.user.id, patientId))) {
+      return res.json({ success: false, msg: "Invalid patient record" });
+    }
+
+    await query("UPDATE patients SET id_proof=? WHERE id=?", ["/uploads/" + req.file.filename, patientId]);
+    await markIdProofPending(patientId);
+    return res.json({ success: true, status: "pending" });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Review queue, oldest first; ?status=pending (default) | verified | rejected
+app.get("/api/id-proofs", auth, requirePermission("id_proofs:review"), async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    const rows = await query(
+      `SELECT p.id AS patient_id, p.name, p.dob, p.id_proof, p.id_proof_status, p.id_proof_note,
+         p.id_proof_uploaded_at, p.id_proof_reviewed_at, r.name AS reviewed_by_name
+       FROM patients p LEFT JOIN users r ON r.id = p.id_proof_reviewed_by
+       WHERE p.id_proof IS NOT NULL AND p.id_proof_status=?
+       ORDER BY p.id_proof_uploaded_at ASC, p.id ASC`,
+      [status]
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/id-proofs/:patientId/verify", auth, requirePermission("id_proofs:review"), async (req, res) => {
+  try {
+    const rows = await query("SELECT id FROM patients WHERE id=? AND id_proof IS NOT NULL", [req.params.patientId]);
+    if (!rows.length) return res.json({ success: false, msg: "No ID proof for this patient" });
+
+    await query(
+      `UPDATE patients SET id_proof_status='verified', id_proof_note=NULL, id_proof_reviewed_by=?, id_proof_reviewed_at=NOW()
+       WHERE id=?`,
+      [req.user.id, rows[0].id]
+    );
+    await notifyPatient(rows[0].id, "ID proof verified", "Your ID proof has been verified.");
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/id-proofs/:patientId/reject", auth, requirePermission("id_proofs:review"), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) return res.json({ success: false, msg: "Please give a reason" });
+    const rows = await query("SELECT id FROM patients WHERE id=? AND id_proof IS NOT NULL", [req.params.patientId]);
+    if (!rows.length) return res.json({ success: false, msg: "No ID proof for this patient" });
+
+    await query(
+      `UPDATE patients SET id_proof_status='rejected', id_proof_note=?, id_proof_reviewed_by=?, id_proof_reviewed_at=NOW()
+       WHERE id=?`,
+      [reason, req.user.id, rows[0].id]
+    );
+    await notifyPatient(rows[0].id, "ID proof rejected", `Your ID proof was rejected: ${reason}. Please upload a new one.`);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// PATIENT REGISTRY (staff/admin)
+// ======================================================
+const PATIENT_SORTS = {
+  id: "p.id",
+  name: "p.name",
+  dob: "p.dob",
+  age: "age",
+  doses: "dose_count",
+  last_dose: "last_dose_on",
+};
+
+// "0-4", "18-59", "60+" -> [min, max]
+function parseAgeBand(band) {
+  let m = /^(\d+)-(\d+)$/.exec(band || "");
+  if (m) return [Number(m[1]), Number(m[2])];
+  m = /^(\d+)\+$/.exec(band || "");
+  if (m) return [Number(m[1]), null];
+  return null;
+}
+
+// Query params: q (name/phone/email/id), gender, age_band, center_id,
+// status (vaccinated|unvaccinated|scheduled), sort, order, page, page_size
+app.get("/api/all-patients", auth, requirePermission("patients:read"), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+
+    const scope = await centerScope(req.user);
+    if (scope !== null) {
+      if (!scope.length) return res.json({ total: 0, page: 1, page_size: 0, patients: [] });
+      where.push("p.id IN (SELECT patient_id FROM appointments WHERE center_id IN (?))");
+      params.push(scope);
+    }
+
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      const like = "%" + q + "%";
+      where.push("(p.name LIKE ? OR p.phone LIKE ? OR u.email LIKE ? OR p.id = ? OR p.health_id = ? OR p.id_number = ?)");
+      params.push(like, like, like, /^\d+$/.test(q) ? Number(q) : -1, normalizeHealthId(q) || "", normalizeIdNumber(q) || "");
+    }
+    if (req.query.gender) {
+      where.push("p.gender = ?");
+      params.push(req.query.gender);
+    }
+    if (req.query.age_band) {
+      const band = parseAgeBand(req.query.age_band);
+      if (!band) return res.json({ success: false, msg: "age_band must look like 18-59 or 60+" });
+      where.push("TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) >= ?");
+      params.push(band[0]);
+      if (band[1] !== null) {
+        where.push("TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) <= ?");
+        params.push(band[1]);
+      }
+    }
+    if (req.query.center_id) {
+      where.push("p.id IN (SELECT patient_id FROM appointments WHERE center_id = ?)");
+      params.push(req.query.center_id);
+    }
+    if (req.query.status === "vaccinated") where.push("vr.dose_count > 0");
+    else if (req.query.status === "unvaccinated") where.push("vr.dose_count IS NULL");
+    else if (req.query.status === "scheduled") {
+      where.push("p.id IN (SELECT patient_id FROM appointments WHERE status IN ('booked','confirmed') AND appointment_date >= NOW())");
+    }
+
+    const sortCol = PATIENT_SORTS[req.query.sort] || "p.name";
+    const order = String(req.query.order).toLowerCase() === "desc" ? "DESC" : "ASC";
+    const pageSize = Math.min(Math.max(Number(req.query.page_size) || 25, 1), 100);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    const from = `
+      FROM patients p
+      LEFT JOIN users u ON u.id = p.user_id
+      LEFT JOIN (
+        SELECT patient_id, COUNT(*) AS dose_count, MAX(given_on) AS last_dose_on
+        FROM vaccination_records GROUP BY patient_id
+      ) vr ON vr.patient_id = p.id
+      ${where.length ? "WHERE " + where.join(" AND ") : ""}`;
+
+    const [count] = await query(`SELECT COUNT(*) AS total ${from}`, params);
+    const patients = await query(
+      `SELECT p.id, p.health_id, p.user_id, p.name, p.dob, p.gender, p.phone, u.email,
+         TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) AS age,
+         COALESCE(vr.dose_count, 0) AS dose_count, vr.last_dose_on
+       ${from}
+       ORDER BY ${sortCol} ${order}, p.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    return res.json({ total: count.total, page, page_size: pageSize, patients });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Profile, guardians, appointments and vaccination records in one response
+app.get("/api/all-patients/:id", auth, requirePermission("patients:read"), async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT p.*, u.email, TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) AS age
+       FROM patients p LEFT JOIN users u ON u.id = p.user_id WHERE p.id=?`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ success: false, msg: "Patient not found" });
+    const patient = rows[0];
+    patient.allergies = jsonValue(patient.allergies);
+    patient.conditions = jsonValue(patient.conditions);
+
+    const scope = await centerScope(req.user);
+    if (!(await patientInCenterScope(scope, patient.id))) {
+      return res.status(404).json({ success: false, msg: "Patient not found" });
+    }
+    // only what happened at the caller's centers
+    const [apptScope, apptParams] = centerScopeSql(scope, "a.center_id");
+    const [recScope, recParams] = centerScopeSql(scope, "r.center_id");
+
+    const guardians = await query(
+      `SELECT u.id, u.name, u.email, g.relationship
+       FROM patient_guardians g JOIN users u ON u.id = g.user_id
+       WHERE g.patient_id=?`,
+      [patient.id]
+    );
+    const appointments = await query(
+      `SELECT a.*, v.name AS vaccine_name, c.name AS center_name
+       FROM appointments a
+       LEFT JOIN vaccines v ON v.id = a.vaccine_id
+       LEFT JOIN centers c ON c.id = a.center_id
+       WHERE a.patient_id=? AND ${apptScope}
+       ORDER BY a.appointment_date DESC`,
+      [patient.id, ...apptParams]
+    );
+    const records = await query(
+      `SELECT r.*, v.name AS vaccine_name, u.name AS staff_name
+       FROM vaccination_records r
+       LEFT JOIN vaccines v ON v.id = r.vaccine_id
+       LEFT JOIN users u ON u.id = r.given_by
+       WHERE r.patient_id=? AND ${recScope}
+       ORDER BY r.given_on DESC`,
+      [patient.id, ...recParams]
+    );
+    return res.json({ profile: patient, guardians, appointments, records });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// HEALTH IDs & IDENTIFIER LOOKUP
+// ======================================================
+// Verhoeff check digit: catches every single-digit error and every swap of
+// adjacent digits
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+function verhoeffCheck(digits) {
+  let c = 0;
+  const rev = digits.split("").reverse();
+  for (let i = 0; i < rev.length; i++) c = VERHOEFF_D[c][VERHOEFF_P[(i + 1) % 8][Number(rev[i])]];
+  return String(VERHOEFF_INV[c]);
+}
+
+function isValidHealthId(id) {
+  if (!/^\d{12}$/.test(id)) return false;
+  let c = 0;
+  const rev = id.split("").reverse();
+  for (let i = 0; i < rev.length; i++) c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(rev[i])]];
+  return c === 0;
+}
+
+// "1234-5678 9012" -> "123456789012" when valid, else null
+function normalizeHealthId(value) {
+  const id = String(value || "").replace(/[\s-]/g, "");
+  return isValidHealthId(id) ? id : null;
+}
+
+function formatHealthId(id) {
+  return id ? id.replace(/^(\d{4})(\d{4})(\d{4})$/, "$1-$2-$3") : null;
+}
+
+// Gives the patient a health ID if they have none; retries on the
+// (unlikely) collision
+async function assignHealthId(patientId, conn = null) {
+  const run = async (sql, params) => (conn ? (await conn.query(sql, params))[0] : query(sql, params));
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const body = String(crypto.randomInt(1, 10)) + String(crypto.randomInt(0, 1e10)).padStart(10, "0");
+    try {
+      await run("UPDATE patients SET health_id=? WHERE id=? AND health_id IS NULL", [body + verhoeffCheck(body), patientId]);
+      return;
+    } catch (err) {
+      if (err.code !== "ER_DUP_ENTRY") throw err;
+    }
+  }
+  throw new Error("Could not allocate a health ID");
+}
+
+function normalizeIdNumber(value) {
+  return String(value || "").toUpperCase().replace(/[\s-]/g, "") || null;
+}
+
+// Error message when the body's national ID belongs to another patient
+async function nationalIdError(body, patientId) {
+  if (body.id_number === undefined) return null;
+  const number = normalizeIdNumber(body.id_number);
+  if (!number) return null;
+  const type = String(body.id_type || "national_id").trim().toLowerCase();
+  const rows = await query("SELECT id FROM patients WHERE id_type=? AND id_number=? AND id<>?", [type, number, patientId || 0]);
+  return rows.length ? "This ID number is already registered to another patient" : null;
+}
+
+// Saves id_type / id_number when present in the body (check nationalIdError first)
+async function saveNationalId(patientId, body) {
+  if (body.id_number === undefined) return;
+  await query("UPDATE patients SET id_type=?, id_number=? WHERE id=?", [
+    String(body.id_type || "national_id").trim().toLowerCase(),
+    normalizeIdNumber(body.id_number),
+    patientId,
+  ]);
+}
+
+const LOOKUP_COLUMNS = "id, health_id, user_id, name, dob, gender, phone, id_type, id_number";
+
+// Patients with this health ID (check digit must be valid). Health IDs of
+// merged-away patients resolve to the survivor.
+async function findPatientsByHealthId(value) {
+  const healthId = normalizeHealthId(value);
+  if (!healthId) return [];
+  const rows = await query(`SELECT ${LOOKUP_COLUMNS} FROM patients WHERE health_id=?`, [healthId]);
+  if (rows.length) return rows;
+  return query(
+    `SELECT ${LOOKUP_COLUMNS} FROM patients WHERE id IN (
+       SELECT survivor_id FROM patient_merges WHERE JSON_UNQUOTE(JSON_EXTRACT(snapshot, '$.health_id')) = ?)`,
+    [healthId]
+  );
+}
+
+// Patients matching a health ID, "type:number" or bare ID number, limited
+// to those within `scope` (see centerScope)
+async function findPatientsByIdentifier(identifier, scope) {
+  const value = String(identifier || "").trim();
+  if (!value) return [];
+  const cols = LOOKUP_COLUMNS;
+
+  // a 12-digit national number (e.g. Aadhaar) can pass the same check
+  // digit, so fall through when no health ID matches
+  let rows = await findPatientsByHealthId(value);
+  if (!rows.length) {
+    const typed = /^([a-z_]+):(.+)$/i.exec(value);
+    rows = typed
+      ? await query(`SELECT ${cols} FROM patients WHERE id_type=? AND id_number=?`, [typed[1].toLowerCase(), normalizeIdNumber(typed[2])])
+      : await query(`SELECT ${cols} FROM patients WHERE id_number=?`, [normalizeIdNumber(value)]);
+  }
+  const visible = [];
+  for (const p of rows) if (await patientInCenterScope(scope, p.id)) visible.push(p);
+  return visible;
+}
+
+app.get("/api/patients/lookup", auth, requirePermission("patients:read"), async (req, res) => {
+  try {
+    return res.json(await findPatientsByIdentifier(req.query.identifier, await centerScope(req.user)));
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Check-in desk: the patient plus their open appointments at the user's centers
+app.get("/api/checkin/lookup", auth, requirePermission("appointments:complete"), async (req, res) => {
+  try {
+    const scope = await centerScope(req.user);
+    const patients = await findPatientsByIdentifier(req.query.identifier, scope);
+    if (!patients.length) return res.json({ success: false, msg: "No patient with that identifier" });
+    if (patients.length > 1) return res.json({ success: false, msg: "Several patients match; use the health ID" });
+
+    const [scopeSql, scopeParams] = centerScopeSql(scope, "a.center_id");
+    const appointments = await query(
+      `SELECT a.*, v.name AS vaccine_name, c.name AS center_name
+       FROM appointments a
+       LEFT JOIN vaccines v ON v.id = a.vaccine_id
+       LEFT JOIN centers c ON c.id = a.center_id
+       WHERE a.patient_id=? AND a.status IN ('booked','confirmed') AND ${scopeSql}
+       ORDER BY a.appointment_date ASC`,
+      [patients[0].id, ...scopeParams]
+    );
+    return res.json({ success: true, patient: patients[0], appointments });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Public: confirms a certificate. Needs the record id and the patient's
+// health ID (the random part makes it unguessable; internal and national IDs
+// are not accepted here), and only reveals what the certificate itself shows.
+app.get("/api/certificates/verify", async (req, res) => {
+  try {
+    const patients = await findPatientsByHealthId(req.query.identifier);
+    const record = Number(req.query.record);
+    if (!record || !patients.length) return res.json({ valid: false });
+    const rows = await query(
+      `SELECT r.id, r.dose_no, r.given_on, v.name AS vaccine_name, p.name AS patient_name, p.health_id
+       FROM vaccination_records r
+       JOIN patients p ON p.id = r.patient_id
+       LEFT JOIN vaccines v ON v.id = r.vaccine_id
+       WHERE r.id=? AND r.patient_id IN (?)`,
+      [record, patients.map((p) => p.id)]
+    );
+    if (!rows.length) return res.json({ valid: false });
+    const r = rows[0];
+    return res.json({
+      valid: true,
+      record_id: r.id,
+      patient_name: r.patient_name,
+      health_id: formatHealthId(r.health_id),
+      vaccine: r.vaccine_name,
+      dose_no: r.dose_no,
+      given_on: r.given_on,
+    });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// DUPLICATE PATIENTS & MERGE
+// ======================================================
+function nameKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z\s]/g, " ").split(/\s+/).filter(Boolean).sort().join(" ");
+}
+
+// Dice coefficient over letter pairs of the token-sorted names: 0..1,
+// tolerant of typos and of first/last name order
+function nameSimilarity(a, b) {
+  const x = nameKey(a);
+  const y = nameKey(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const pairs = (s) => {
+    const out = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const bg = s.slice(i, i + 2);
+      out.set(bg, (out.get(bg) || 0) + 1);
+    }
+    return out;
+  };
+  const px = pairs(x);
+  const py = pairs(y);
+  let common = 0;
+  for (const [bg, n] of px) common += Math.min(n, py.get(bg) || 0);
+  return (2 * common) / (x.length - 1 + y.length - 1);
+}
+
+// { score: 0..1, reasons: [] } for two patient rows
+function duplicateScore(a, b) {
+  const reasons = [];
+  let score = 0;
+  const sim = nameSimilarity(a.name, b.name);
+  if (sim >= 0.6) reasons.push(`similar name (${Math.round(sim * 100)}%)`);
+  score += sim * 0.4;
+  if (a.dob && b.dob && ymd(a.dob) === ymd(b.dob)) {
+    score += 0.25;
+    reasons.push("same date of birth");
+  }
+  if (a.phone && normalizePhone(a.phone) && normalizePhone(a.phone) === normalizePhone(b.phone)) {
+    score += 0.2;
+    reasons.push("same phone");
+  }
+  if (a.id_number && b.id_number && a.id_number.trim().toLowerCase() === b.id_number.trim().toLowerCase()) {
+    score += 0.5;
+    reasons.push("same ID number");
+  }
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+}
+
+const DUPLICATE_COLUMNS = "id,health_id,user_id,name,dob,gender,phone,id_type,id_number";
+
+// Rows bucketed by DOB, phone and ID number, so a row is only scored against
+// those sharing one of them. A similar name alone scores at most 0.4, so
+// pairs sharing none of these can't reach IMPORT_DUPLICATE_SCORE.
+function duplicateIndex() {
+  const buckets = new Map();
+  const keys = (r) =>
+    [
+      r.dob && "dob:" + ymd(r.dob),
+      normalizePhone(r.phone) && "phone:" + normalizePhone(r.phone),
+      r.id_number && "id:" + String(r.id_number).trim().toLowerCase(),
+    ].filter(Boolean);
+  return {
+    add(row, item = row) {
+      for (const k of keys(row)) {
+        if (!buckets.has(k)) buckets.set(k, []);
+        buckets.get(k).push(item);
+      }
+    },
+    // items sharing a key with row, in the order they were added
+    candidates(row) {
+      const out = new Set();
+      for (const k of keys(row)) for (const item of buckets.get(k) || []) out.add(item);
+      return [...out];
+    },
+  };
+}
+
+// SQL for each key a candidate pair must share, over table alias t:
+// [expression, condition for a usable value]
+const DUPLICATE_KEYS = [
+  (t) => [`${t}.dob`, `${t}.dob IS NOT NULL`],
+  (t) => [`${t}.id_number`, `${t}.id_number <> ''`],
+  (t) => [phoneSql(`${t}.phone`), `${t}.phone <> ''`],
+];
+const DUPLICATE_MAX_PAIRS = 20000;
+const DUPLICATE_MAX_RESULTS = 200;
+
+// Candidate pairs share a DOB, phone or ID number (see duplicateIndex for why
+// names alone don't count); they are then scored. ?patient_id= limits to one
+// patient, ?min_score= (default 0.5). At most DUPLICATE_MAX_PAIRS candidates
+// are scored and DUPLICATE_MAX_RESULTS returned, best first; `truncated` says
+// whether either limit was hit.
+app.get("/api/patients/duplicates", auth, requirePermission("patients:merge"), async (req, res) => {
+  try {
+    const minScore = req.query.min_score !== undefined ? Number(req.query.min_score) : 0.5;
+    const pid = req.query.patient_id ? Number(req.query.patient_id) : null;
+
+    const candidates = new Map(); // "a:b" -> [a, b]
+    let truncated = false;
+    for (const key of DUPLICATE_KEYS) {
+      const [outer, usable] = key("p");
+      const [inner, innerUsable] = key("q");
+      const only = pid ? `AND ${inner} = (SELECT ${key("o")[0]} FROM patients o WHERE o.id=?)` : "";
+      const rows = await query(
+        `SELECT p.id, ${outer} AS k FROM patients p
+         JOIN (SELECT ${inner} AS k FROM patients q WHERE ${innerUsable} ${only} GROUP BY k HAVING COUNT(*) > 1) d ON d.k = ${outer}
+         WHERE ${usable}
+         ORDER BY p.id`,
+        pid ? [pid] : []
+      );
+      const groups = new Map();
+      for (const r of rows) {
+        if (!groups.has(String(r.k))) groups.set(String(r.k), []);
+        groups.get(String(r.k)).push(r.id);
+      }
+      for (const ids of groups.values()) {
+        for (let i = 0; i < ids.length && !truncated; i++) {
+          for (let j = i + 1; j < ids.length; j++) {
+            if (pid && ids[i] !== pid && ids[j] !== pid) continue;
+            if (candidates.size >= DUPLICATE_MAX_PAIRS) {
+              truncated = true;
+              break;
+            }
+            candidates.set(ids[i] + ":" + ids[j], [ids[i], ids[j]]);
+          }
+        }
+      }
+    }
+    if (!candidates.size) return res.json({ truncated: false, pairs: [] });
+
+    const ids = [...new Set([...candidates.values()].flat())];
+    const rows = await query(`SELECT ${DUPLICATE_COLUMNS} FROM patients WHERE id IN (?)`, [ids]);
+    const byId = new Map(rows.map((r) => [r.id, r]));
+
+    const out = [];
+    for (const [aId, bId] of candidates.values()) {
+      const a = byId.get(aId);
+      const b = byId.get(bId);
+      const { score, reasons } = duplicateScore(a, b);
+      if (score >= minScore) out.push({ score, reasons, patients: [a, b] });
+    }
+    out.sort((x, y) => y.score - x.score);
+    return res.json({ truncated: truncated || out.length > DUPLICATE_MAX_RESULTS, pairs: out.slice(0, DUPLICATE_MAX_RESULTS) });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Folds patient :id into survivor_id and deletes it. Body: { survivor_id, reason }.
+// Appointments, vaccination records, consents, profile versions, guardians
+// and overrides move over; the survivor's empty fields are filled from the
+// duplicate; a login (and with it the account's feedback) moves if only the
+// duplicate has one.
+app.post("/api/patients/:id/merge", auth, requirePermission("patients:merge"), async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const mergedId = Number(req.params.id);
+    const survivorId = Number(req.body.survivor_id);
+    if (!survivorId || survivorId === mergedId) {
+      conn.release();
+      return res.json({ success: false, msg: "Choose a different patient to keep" });
+    }
+
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT * FROM patients WHERE id IN (?) FOR UPDATE", [[mergedId, survivorId]]);
+    const dup = rows.find((r) => r.id === mergedId);
+    const keep = rows.find((r) => r.id === survivorId);
+    if (!dup || !keep) {
+      await conn.rollback();
+      conn.release();
+      return res.json({ success: false, msg: "Patient not found" });
+    }
+    if (dup.user_id && keep.user_id && dup.user_id !== keep.user_id) {
+      await conn.rollback();
+      conn.release();
+      return res.json({ success: false, msg: "Both patients have their own login; deactivate one of the accounts first" });
+    }
+
+    const moved = {};
+    const move = async (table) => {
+      const [r] = await conn.query(`UPDATE ${table} SET patient_id=? WHERE patient_id=?`, [survivorId, mergedId]);
+      moved[table] = r.affectedRows;
+    };
+    await move("appointments");
+    await move("vaccination_records");
+    await move("contraindication_overrides");
+    await move("consents");
+    // the duplicate's history goes after the survivor's, so moved records
+    // keep their version and the survivor's history (and erasure) covers it
+    const [[top]] = await conn.query("SELECT COALESCE(MAX(version), 0) AS v FROM patient_versions WHERE patient_id=?", [survivorId]);
+    const [pv] = await conn.query("UPDATE patient_versions SET patient_id=?, version=version+? WHERE patient_id=?", [
+      survivorId,
+      top.v,
+      mergedId,
+    ]);
+    moved.patient_versions = pv.affectedRows;
+
+    // guardians: skip links the survivor already has, and the survivor's own account
+    const [g] = await conn.query(
+      `INSERT IGNORE INTO patient_guardians (patient_id,user_id,relationship,created_at)
+       SELECT ?, user_id, relationship, created_at FROM patient_guardians WHERE patient_id=? AND user_id <> ?`,
+      [survivorId, mergedId, keep.user_id || dup.user_id || 0]
+    );
+    moved.patient_guardians = g.affectedRows;
+    await conn.query("DELETE FROM patient_guardians WHERE patient_id=?", [mergedId]);
+
+    moved.user_id = null;
+    moved.feedback = 0;
+    if (dup.user_id && !keep.user_id) {
+      moved.user_id = dup.user_id;
+      const [[fb]] = await conn.query("SELECT COUNT(*) AS c FROM feedback WHERE user_id=?", [dup.user_id]);
+      moved.feedback = fb.c;
+      await conn.query("DELETE FROM patient_guardians WHERE patient_id=? AND user_id=?", [survivorId, dup.user_id]);
+    }
+
+    const fill = {};
+    for (const col of ["dob", "gender", "phone", "address", "medical_history", "id_number", "id_proof"]) {
+      if ((keep[col] === null || keep[col] === "") && dup[col] !== null && dup[col] !== "") fill[col] = dup[col];
+    }
+    if (fill.id_number) fill.id_type = dup.id_type;
+    if (fill.id_proof) {
+      fill.id_proof_status = dup.id_proof_status;
+      fill.id_proof_note = dup.id_proof_note;
+      fill.id_proof_uploaded_at = dup.id_proof_uploaded_at;
+      fill.id_proof_reviewed_by = dup.id_proof_reviewed_by;
+      fill.id_proof_reviewed_at = dup.id_proof_reviewed_at;
+    }
+    for (const col of ["allergies", "conditions"]) {
+      const kept = jsonValue(keep[col]) || [];
+      const both = [...new Set([...kept, ...(jsonValue(dup[col]) || [])])];
+      if (both.length !== kept.length) fill[col] = JSON.stringify(both);
+    }
+    moved.filled = Object.keys(fill);
+
+    // the duplicate goes first so the user_id can't briefly belong to two profiles
+    await conn.query("DELETE FROM patients WHERE id=?", [mergedId]);
+    if (moved.user_id) fill.user_id = moved.user_id;
+    if (Object.keys(fill).length) await conn.query("UPDATE patients SET ? WHERE id=?", [fill, survivorId]);
+    await recordPatientVersion(survivorId, req.user.id, "merge", conn);
+
+    await conn.query(
+      "INSERT INTO patient_merges (survivor_id,merged_id,merged_by,reason,snapshot,moved) VALUES(?,?,?,?,?,?)",
+      [survivorId, mergedId, req.user.id, req.body.reason || null, JSON.stringify(dup), JSON.stringify(moved)]
+    );
+    await conn.commit();
+    conn.release();
+    return res.json({ success: true, survivor_id: survivorId, moved });
+  } catch (err) {
+    await conn.rollback();
+    conn.release();
+    return sendErr(res, err);
+  }
+});
+
+// ?patient_id= matches either side
+app.get("/api/patient-merges", auth, requirePermission("patients:merge"), async (req, res) => {
+  try {
+    const pid = req.query.patient_id;
+    const rows = await query(
+      `SELECT m.*, u.name AS merged_by_name FROM patient_merges m LEFT JOIN users u ON u.id = m.merged_by
+       ${pid ? "WHERE m.survivor_id=? OR m.merged_id=?" : ""}
+       ORDER BY m.created_at DESC LIMIT 200`,
+      pid ? [pid, pid] : []
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// PATIENT IMPORT (CSV)
+// ======================================================
+const IMPORT_FIELDS = ["name", "dob", "gender", "phone", "address", "id_type", "id_number", "medical_history", "allergies", "conditions"];
+const IMPORT_MAX_ROWS = 5000;
+// rows scoring at least this against an existing patient are rejected as duplicates
+const IMPORT_DUPLICATE_SCORE = 0.7;
+
+// RFC 4180: quoted fields, "" escapes, CRLF or LF line ends
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  text = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+function csvLine(values) {
+  return values.map((v) => (/[",\r\n]/.test(String(v ?? "")) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? ""))).join(",");
+}
+
+// "2015-03-09", "09/03/2015" (day first) -> "2015-03-09", else null
+function parseDob(value) {
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  let y, mo, d;
+  if (m) [, y, mo, d] = m.map(Number);
+  else if ((m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value))) [, d, mo, y] = m.map(Number);
+  else return null;
+  const date = new Date(y, mo - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== mo - 1 || date.getDate() !== d || date > new Date()) return null;
+  return ymd(date);
+}
+
+const GENDERS = { m: "Male", male: "Male", f: "Female", female: "Female", o: "Other", other: "Other" };
+
+// One CSV row (already mapped to fields) -> { values, errors }
+function validateImportRow(raw) {
+  const errors = [];
+  const values = {};
+  values.name = (raw.name || "").trim();
+  if (!values.name) errors.push("name is required");
+  if (raw.dob) {
+    values.dob = parseDob(raw.dob.trim());
+    if (!values.dob) errors.push(`invalid dob "${raw.dob}"`);
+  }
+  if (raw.gender) {
+    values.gender = GENDERS[raw.gender.trim().toLowerCase()];
+    if (!values.gender) errors.push(`invalid gender "${raw.gender}"`);
+  }
+  if (raw.phone) {
+    values.phone = normalizePhone(raw.phone);
+    if (!values.phone) errors.push(`invalid phone "${raw.phone}"`);
+  }
+  for (const f of ["address", "medical_history"]) if (raw[f] && raw[f].trim()) values[f] = raw[f].trim();
+  if (raw.id_number && raw.id_number.trim()) {
+    values.id_number = normalizeIdNumber(raw.id_number);
+    values.id_type = (raw.id_type || "").trim().toLowerCase() || "national_id";
+  }
+  for (const f of ["allergies", "conditions"]) if (raw[f] && raw[f].trim()) values[f] = parseTerms(raw[f].replace(/;/g, ","));
+  return { values, errors };
+}
+
+// { columns: field -> column index } or { error }
+function importColumns(headers, mapping) {
+  const columns = {};
+  for (const field of IMPORT_FIELDS) {
+    const header = mapping[field] || headers.find((h) => h.toLowerCase().replace(/\s+/g, "_") === field);
+    if (header === undefined) continue;
+    const idx = headers.indexOf(header);
+    if (idx === -1) return { error: `Column "${header}" (for ${field}) is not in the file` };
+    columns[field] = idx;
+  }
+  if (columns.name === undefined) return { error: "Map a column to name" };
+  return { columns };
+}
+
+// multipart "file" (or body.csv as text), mapping (JSON: field -> CSV header;
+// headers named like the fields map themselves), dry_run (default 1), strict
+// (reject the whole file if any row fails). Valid rows are inserted in one
+// transaction; rejected rows go to a CSV report.
+app.post("/api/patients/import", auth, requirePermission("patients:import"), (req, res, next) => {
+  csvUpload.single("file")(req, res, (err) => (err ? res.json({ success: false, msg: err.message }) : next()));
+}, async (req, res) => {
+  let conn = null;
+  try {
+    const text = req.file ? req.file.buffer.toString("utf8") : String(req.body.csv || "");
+    const rows = parseCsv(text);
+    if (rows.length < 2) return res.json({ success: false, msg: "The file needs a header row and at least one data row" });
+    if (rows.length - 1 > IMPORT_MAX_ROWS) return res.json({ success: false, msg: `At most ${IMPORT_MAX_ROWS} rows per import` });
+
+    const headers = rows[0].map((h) => h.trim());
+    let mapping = req.body.mapping || {};
+    if (typeof mapping === "string") {
+      try { mapping = JSON.parse(mapping); } catch (e) { return res.json({ success: false, msg: "mapping must be JSON" }); }
+    }
+    const { columns, error } = importColumns(headers, mapping);
+    if (error) return res.json({ success: false, msg: error });
+
+    const dryRun = !["0", "false"].includes(String(req.body.dry_run ?? "1"));
+    const strict = ["1", "true"].includes(String(req.body.strict));
+
+    const checked = rows.slice(1).map((cells, i) => {
+      const raw = {};
+      for (const [field, idx] of Object.entries(columns)) raw[field] = cells[idx] || "";
+      return { line: i + 2, cells, ...validateImportRow(raw) };
+    });
+
+    // duplicates: against existing patients, then within the file
+    const valid = checked.filter((r) => !r.errors.length);
+    const dobs = [...new Set(valid.map((r) => r.values.dob).filter(Boolean))];
+    const phones = [...new Set(valid.map((r) => r.values.phone).filter(Boolean))];
+    const idNums = [...new Set(valid.map((r) => r.values.id_number).filter(Boolean))];
+    const existing = dobs.length || phones.length || idNums.length
+      ? await query(
+          `SELECT ${DUPLICATE_COLUMNS} FROM patients
+           WHERE dob IN (?) OR ${phoneSql("phone")} IN (?) OR id_number IN (?)`,
+          [dobs.length ? dobs : [null], phones.length ? phones : [""], idNums.length ? idNums : [""]]
+        )
+      : [];
+    const existingIdx = duplicateIndex();
+    for (const e of existing) existingIdx.add(e);
+    const seenIdx = duplicateIndex();
+    for (const r of valid) {
+      const candidate = { ...r.values, id: null };
+      const sameId = (o) => candidate.id_number && o.id_number === candidate.id_number && o.id_type === candidate.id_type;
+      const match = existingIdx.candidates(candidate).find((e) => sameId(e) || duplicateScore(candidate, e).score >= IMPORT_DUPLICATE_SCORE);
+      if (match) {
+        r.errors.push(`looks like existing patient #${match.id} (${match.name})`);
+        r.match = match.id;
+      }
+      const twin = seenIdx
+        .candidates(candidate)
+        .find((o) => sameId(o.values) || duplicateScore(candidate, o.values).score >= IMPORT_DUPLICATE_SCORE);
+      if (twin) r.errors.push(`duplicate of line ${twin.line}`);
+      if (!r.errors.length) seenIdx.add(r.values, r);
+    }
+
+    let accepted = checked.filter((r) => !r.errors.length);
+    let imported = 0;
+    if (!dryRun && !(strict && accepted.length < checked.length) && accepted.length) {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+      for (const r of accepted) {
+        const v = r.values;
+        let ins;
+        try {
+          [ins] = await conn.query(
+            `INSERT INTO patients (user_id,name,dob,gender,phone,address,id_type,id_number,medical_history,allergies,conditions)
+             VALUES(NULL,?,?,?,?,?,?,?,?,?,?)`,
+            [
+              v.name,
+              v.dob || null,
+              v.gender || null,
+              v.phone || null,
+              v.address || null,
+              v.id_type || "national_id",
+              v.id_number || null,
+              v.medical_history || null,
+              v.allergies ? JSON.stringify(v.allergies) : null,
+              v.conditions ? JSON.stringify(v.conditions) : null,
+            ]
+          );
+        } catch (e) {
+          // registered since the duplicate check, e.g. by a parallel import
+          if (e.code !== "ER_DUP_ENTRY") throw e;
+          r.errors.push(`ID number ${v.id_number} is already registered`);
+          continue;
+        }
+        await assignHealthId(ins.insertId, conn);
+        await recordPatientVersion(ins.insertId, req.user.id, "import", conn);
+        imported++;
+      }
+      if (strict && imported < accepted.length) {
+        await conn.rollback();
+        imported = 0;
+      } else await conn.commit();
+      conn.release();
+      conn = null;
+    }
+
+    accepted = checked.filter((r) => !r.errors.length);
+    const rejected = checked.filter((r) => r.errors.length);
+    const report = rejected.length
+      ? [csvLine(["line", "errors", ...headers]), ...rejected.map((r) => csvLine([r.line, r.errors.join("; "), ...r.cells]))].join("\r\n")
+      : null;
+
+    const log = await query(
+      "INSERT INTO patient_imports (created_by,filename,dry_run,total_rows,imported,rejected,report) VALUES(?,?,?,?,?,?,?)",
+      [req.user.id, req.file ? req.file.originalname : null, dryRun ? 1 : 0, checked.length, imported, rejected.length, report]
+    );
+    const matches = rejected.filter((r) => r.match).map((r) => [log.insertId, r.line, r.match]);
+    if (matches.length) await query("INSERT INTO patient_import_matches (import_id,line,patient_id) VALUES ?", [matches]);
+    return res.json({
+      success: !(strict && rejected.length && !dryRun),
+      msg: strict && rejected.length && !dryRun ? "Nothing imported: some rows were rejected" : undefined,
+      import_id: log.insertId,
+      dry_run: dryRun,
+      total: checked.length,
+      valid: accepted.length,
+      imported,
+      rejected: rejected.map((r) => ({ line: r.line, errors: r.errors })),
+      preview: accepted.slice(0, 20).map((r) => ({ line: r.line, ...r.values })),
+      report_url: report ? `/api/patient-imports/${log.insertId}/report` : null,
+    });
+  } catch (err) {
+    if (conn) {
+      await conn.rollback();
+      conn.release();
+    }
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/patient-imports", auth, requirePermission("patients:import"), async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT i.id, i.filename, i.dry_run, i.total_rows, i.imported, i.rejected, i.created_at, u.name AS created_by_name
+       FROM patient_imports i LEFT JOIN users u ON u.id = i.created_by
+       ORDER BY i.created_at DESC LIMIT 100`
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Rejected rows as CSV: line, errors, then the original columns
+app.get("/api/patient-imports/:id/report", auth, requirePermission("patients:import"), async (req, res) => {
+  try {
+    const rows = await query("SELECT report FROM patient_imports WHERE id=?", [req.params.id]);
+    if (!rows.length || !rows[0].report) return res.status(404).json({ success: false, msg: "No report" });
+    res.attachment(`import-${req.params.id}-rejected.csv`);
+    res.type("text/csv");
+    return res.send(rows[0].report);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// VACCINES
+// ======================================================
+app.get("/api/vaccines", auth, async (req, res) => {
+  try {
+    const rows = await query("SELECT * FROM vaccines ORDER BY id DESC");
+    return res.json(rows.map((v) => ({ ...v, contraindications: jsonValue(v.contraindications) })));
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/vaccines", auth, requirePermission("vaccines:write"), async (req, res) => {
+  try {
+    const { name, dose_type, description, side_effects, manufacturer } = req.body;
+    const contraindications = parseContraindications(req.body.contraindications);
+    if (contraindications === false) return res.json({ success: false, msg: "Invalid contraindications" });
+    const ages = vaccineAgeLimits(req.body);
+    if (ages === false) return res.json({ success: false, msg: "Invalid age limits" });
+    const min = ages.min_age_days || 0;
+    const max = ages.max_age_days === undefined ? null : ages.max_age_days;
+    if (max !== null && max < min) return res.json({ success: false, msg: "Invalid maximum age" });
+    await query(
+      `INSERT INTO vaccines (name,dose_type,required_age,max_age,min_age_days,max_age_days,description,side_effects,manufacturer,contraindications)
+       VALUES(?,?,?,?,?,?,?,?,?,?)`,
+      [
+        name,
+        dose_type || null,
+        wholeYears(min),
+        max === null ? null : wholeYears(max + 1) - 1,
+        min,
+        max,
+        description || null,
+        side_effects || null,
+        manufacturer || null,
+        JSON.stringify(contraindications || []),
+      ]
+    );
     return res.json({ success: true });
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.put("/api/vaccines/:id", auth, async (req, res) => {
+app.put("/api/vaccines/:id", auth, requirePermission("vaccines:write"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
-    const { name, dose_type, required_age, description, side_effects, manufacturer } = req.body;
-    await query("UPDATE vaccines SET name=?,dose_type=?,required_age=?,description=?,side_effects=?,manufacturer=? WHERE id=?", [
-      name,
-      dose_type || null,
-      required_age || 0,
-      description || null,
-      side_effects || null,
-      manufacturer || null,
-      req.params.id,
-    ]);
+    // fields left out of the body are unchanged
+    const [cur] = await query("SELECT * FROM vaccines WHERE id=?", [req.params.id]);
+    if (!cur) return res.json({ success: false, msg: "Vaccine not found" });
+    const contraindications = parseContraindications(req.body.contraindications);
+    if (contraindications === false) return res.json({ success: false, msg: "Invalid contraindications" });
+    const ages = vaccineAgeLimits(req.body);
+    if (ages === false) return res.json({ success: false, msg: "Invalid age limits" });
+
+    const set = {};
+    if (req.body.name !== undefined) {
+      if (!req.body.name) return res.json({ success: false, msg: "Name required" });
+      set.name = req.body.name;
+    }
+    for (const f of ["dose_type", "description", "side_effects", "manufacturer"]) {
+      if (req.body[f] !== undefined) set[f] = req.body[f] || null;
+    }
+    if (contraindications) set.contraindications = JSON.stringify(contraindications);
+    Object.assign(set, ages);
+    const min = set.min_age_days ?? cur.min_age_days;
+    const max = set.max_age_days !== undefined ? set.max_age_days : cur.max_age_days;
+    if (max !== null && max < min) return res.json({ success: false, msg: "Invalid maximum age" });
+    if (ages.min_age_days !== undefined) set.required_age = wholeYears(min);
+    if (ages.max_age_days !== undefined) set.max_age = max === null ? null : wholeYears(max + 1) - 1;
+
+    if (Object.keys(set).length) await query("UPDATE vaccines SET ? WHERE id=?", [set, req.params.id]);
     return res.json({ success: true });
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.delete("/api/vaccines/:id", auth, async (req, res) => {
+app.delete("/api/vaccines/:id", auth, requirePermission("vaccines:write"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
     await query("DELETE FROM vaccines WHERE id=?", [req.params.id]);
     return res.json({ success: true });
   } catch (err) {
@@ -261,119 +3645,564 @@ app.get("/api/centers", auth, async (req, res) => {
   }
 });
 
-// ⭐ THIS WAS MISSING — ADD THIS ⭐
-app.get("/api/centers/:id", auth, async (req, res) => {
+// ⭐ THIS WAS MISSING — ADD THIS ⭐
+app.get("/api/centers/:id", auth, async (req, res) => {
+  try {
+    const rows = await query("SELECT * FROM centers WHERE id=?", [req.params.id]);
+    return res.json(rows[0] || {});
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/centers", auth, requirePermission("centers:write"), async (req, res) => {
+  try {
+    const { name, address } = req.body;
+    await query("INSERT INTO centers (name,address) VALUES(?,?)", [name, address || null]);
+    return res.json({ success: true });
+
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.put("/api/centers/:id", auth, requirePermission("centers:write"), async (req, res) => {
+  try {
+    const { name, address } = req.body;
+    await query("UPDATE centers SET name=?,address=? WHERE id=?", 
+      [name, address || null, req.params.id]
+    );
+    return res.json({ success: true });
+
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/centers/:id", auth, requirePermission("centers:write"), async (req, res) => {
+  try {
+    await query("DELETE FROM centers WHERE id=?", [req.params.id]);
+    return res.json({ success: true });
+
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+
+// ======================================================
+// INVENTORY
+// ======================================================
+app.get("/api/inventory", auth, async (req, res) => {
+  try {
+    const rows = await query("SELECT i.*, v.name AS vaccine_name FROM inventory i LEFT JOIN vaccines v ON v.id=i.vaccine_id ORDER BY i.id DESC");
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/inventory/:id", auth, async (req, res) => {
+  try {
+    const rows = await query("SELECT i.*, v.name AS vaccine_name FROM inventory i LEFT JOIN vaccines v ON v.id=i.vaccine_id WHERE i.id=?", [req.params.id]);
+    return res.json(rows[0] || {});
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/inventory", auth, requirePermission("inventory:write"), async (req, res) => {
+  try {
+    const { vaccine_id, batch_no, quantity, expiry_date } = req.body;
+    await query("INSERT INTO inventory (vaccine_id,batch_no,quantity,expiry_date) VALUES(?,?,?,?)", [vaccine_id, batch_no || null, quantity || 0, expiry_date || null]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.put("/api/inventory/:id", auth, requirePermission("inventory:write"), async (req, res) => {
+  try {
+    const { vaccine_id, batch_no, quantity, expiry_date } = req.body;
+    await query("UPDATE inventory SET vaccine_id=?,batch_no=?,quantity=?,expiry_date=? WHERE id=?", [vaccine_id, batch_no || null, quantity || 0, expiry_date || null, req.params.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/inventory/:id", auth, requirePermission("inventory:write"), async (req, res) => {
+  try {
+    await query("DELETE FROM inventory WHERE id=?", [req.params.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/inventory/:id/adjust", auth, requirePermission("inventory:adjust"), async (req, res) => {
+  try {
+    const { delta } = req.body;
+    await query("UPDATE inventory SET quantity = GREATEST(quantity + ?, 0) WHERE id=?", [Number(delta) || 0, req.params.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// ALLERGIES & CONTRAINDICATIONS
+// ======================================================
+// "Egg,  latex" or ["Egg", "latex"] -> ["egg", "latex"]
+function parseTerms(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(/[,\n]/);
+  const terms = list.map((t) => String(t).trim().toLowerCase().replace(/\s+/g, " ")).filter(Boolean);
+  return [...new Set(terms)].slice(0, 50).map((t) => t.slice(0, 64));
+}
+
+// Array of { term, action } or "egg:block, pregnancy:warn" (action defaults
+// to block). undefined when absent, false when malformed.
+function parseContraindications(input) {
+  if (input === undefined) return undefined;
+  const list = Array.isArray(input) ? input : String(input).split(/[,\n]/).filter((s) => s.trim());
+  const out = [];
+  for (const item of list) {
+    const [term, action = "block"] = typeof item === "object" && item ? [item.term, item.action] : String(item).split(":");
+    const [t] = parseTerms([term || ""]);
+    const a = String(action).trim().toLowerCase();
+    if (!t || !["block", "warn"].includes(a)) return false;
+    out.push({ term: t, action: a });
+  }
+  return out;
+}
+
+// Updates allergies / conditions when they are present in the body.
+// `where` is { id } or { user_id }.
+async function saveMedicalTerms(where, body) {
+  const [col, val] = Object.entries(where)[0];
+  for (const field of ["allergies", "conditions"]) {
+    if (body[field] === undefined) continue;
+    await query(`UPDATE patients SET ${field}=? WHERE ${col}=?`, [JSON.stringify(parseTerms(body[field])), val]);
+  }
+}
+
+// Which of the vaccine's contraindications apply to the patient:
+// { block: [terms], warn: [terms], overridden: bool }. A standing override
+// (one without an appointment) covers every appointment for the pair.
+async function checkContraindications(patientId, vaccineId, appointmentId = null) {
+  const [p] = await query("SELECT allergies, conditions FROM patients WHERE id=?", [patientId]);
+  const [v] = await query("SELECT contraindications FROM vaccines WHERE id=?", [vaccineId]);
+  const result = { block: [], warn: [], overridden: false };
+  if (!p || !v) return result;
+
+  const has = new Set([...(jsonValue(p.allergies) || []), ...(jsonValue(p.conditions) || [])]);
+  for (const c of jsonValue(v.contraindications) || []) {
+    if (has.has(c.term)) result[c.action === "warn" ? "warn" : "block"].push(c.term);
+  }
+  if (result.block.length) {
+    const ov = await query(
+      "SELECT id FROM contraindication_overrides WHERE patient_id=? AND vaccine_id=? AND (appointment_id IS NULL OR appointment_id=?)",
+      [patientId, vaccineId, appointmentId]
+    );
+    result.overridden = ov.length > 0;
+  }
+  return result;
+}
+
+function contraindicationMsg(check) {
+  return `Contraindicated for this patient (${check.block.join(", ")}); an administrator must approve an override`;
+}
+
+function contraindicationWarnings(check) {
+  return check.warn.map((t) => `Use with caution: patient has ${t}`);
+}
+
+// ?patient_id=&vaccine_id= ; for the patient's own side or staff
+app.get("/api/contraindications/check", auth, async (req, res) => {
+  try {
+    const { patient_id, vaccine_id } = req.query;
+    if (!patient_id || !vaccine_id) return res.json({ success: false, msg: "patient_id and vaccine_id required" });
+    const staff = hasPermission(req.user, "patients:read") && (await patientInCenterScope(await centerScope(req.user), patient_id));
+    if (!staff && !(req.user.id && (await canManagePatient(req.user.id, patient_id)))) {
+      return res.status(403).json({ success: false, msg: "Unauthorized" });
+    }
+    return res.json({ success: true, ...(await checkContraindications(patient_id, vaccine_id)) });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Standing override for a patient/vaccine pair. Body: { vaccine_id, reason }
+app.post("/api/patients/:id/contraindication-overrides", auth, requirePermission("contraindications:override"), async (req, res) => {
+  try {
+    const { vaccine_id, reason } = req.body;
+    if (!vaccine_id || !reason) return res.json({ success: false, msg: "vaccine_id and reason required" });
+    if (!(await patientInCenterScope(await centerScope(req.user), req.params.id))) {
+      return res.status(404).json({ success: false, msg: "Patient not found" });
+    }
+
+    const check = await checkContraindications(req.params.id, vaccine_id);
+    if (!check.block.length) return res.json({ success: false, msg: "Nothing to override" });
+    await query(
+      "INSERT INTO contraindication_overrides (patient_id,vaccine_id,terms,reason,created_by) VALUES(?,?,?,?,?)",
+      [req.params.id, vaccine_id, check.block.join(", "), reason, req.user.id]
+    );
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/patients/:id/contraindication-overrides", auth, requirePermission("patients:read"), async (req, res) => {
   try {
-    const rows = await query("SELECT * FROM centers WHERE id=?", [req.params.id]);
-    return res.json(rows[0] || {});
+    if (!(await patientInCenterScope(await centerScope(req.user), req.params.id))) {
+      return res.status(404).json({ success: false, msg: "Patient not found" });
+    }
+    const rows = await query(
+      `SELECT o.*, v.name AS vaccine_name, u.name AS created_by_name
+       FROM contraindication_overrides o
+       LEFT JOIN vaccines v ON v.id = o.vaccine_id
+       LEFT JOIN users u ON u.id = o.created_by
+       WHERE o.patient_id=? ORDER BY o.created_at DESC`,
+      [req.params.id]
+    );
+    return res.json(rows);
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.post("/api/centers", auth, async (req, res) => {
+app.delete("/api/contraindication-overrides/:id", auth, requirePermission("contraindications:override"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") 
-      return res.status(403).json({ success: false, msg: "Unauthorized" });
-
-    const { name, address } = req.body;
-    await query("INSERT INTO centers (name,address) VALUES(?,?)", [name, address || null]);
+    const rows = await query("SELECT patient_id FROM contraindication_overrides WHERE id=?", [req.params.id]);
+    if (!rows.length || !(await patientInCenterScope(await centerScope(req.user), rows[0].patient_id))) {
+      return res.status(404).json({ success: false, msg: "Override not found" });
+    }
+    await query("DELETE FROM contraindication_overrides WHERE id=?", [req.params.id]);
     return res.json({ success: true });
-
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.put("/api/centers/:id", auth, async (req, res) => {
-  try {
-    if (req.user.role !== "admin") 
-      return res.status(403).json({ success: false, msg: "Unauthorized" });
+// ======================================================
+// AGE ELIGIBILITY
+// ======================================================
+// Whole years between dob and date
+function ageOn(dob, date) {
+  const b = new Date(dob);
+  const d = new Date(date);
+  let age = d.getFullYear() - b.getFullYear();
+  if (d.getMonth() < b.getMonth() || (d.getMonth() === b.getMonth() && d.getDate() < b.getDate())) age--;
+  return age;
+}
 
-    const { name, address } = req.body;
-    await query("UPDATE centers SET name=?,address=? WHERE id=?", 
-      [name, address || null, req.params.id]
-    );
-    return res.json({ success: true });
+function ymd(date) {
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
 
-  } catch (err) {
-    return sendErr(res, err);
+// "YYYY-MM-DD" -> that day at local midnight (new Date() would read it as
+// UTC, i.e. the day before in western time zones), or null
+function localDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return ymd(date) === m[0] ? date : null;
+}
+
+// Days between dob and date (calendar dates, ignoring the time of day)
+function ageInDays(dob, date) {
+  const utc = (d) => Date.UTC(...ymd(d).split("-").map((n, i) => Number(n) - (i === 1 ? 1 : 0)));
+  return Math.floor((utc(date) - utc(dob)) / 86400000);
+}
+
+const AGE_UNIT_DAYS = { days: 1, weeks: 7, months: 30.4375, years: 365.25 };
+
+// Completed years for an age in days (tolerates the day lost to rounding
+// 365.25-day years)
+function wholeYears(days) {
+  return Math.floor((days + 1) / AGE_UNIT_DAYS.years);
+}
+
+// 42 -> "6 weeks", 273 -> "9 months", 6574 -> "18 years"
+function formatAge(days) {
+  if (days < 14 * 7 && days % 7 === 0) return `${days / 7} weeks`;
+  if (days < 60) return `${days} days`;
+  if (days < 2 * 365) return `${Math.round(days / AGE_UNIT_DAYS.months)} months`;
+  return `${wholeYears(days)} years`;
+}
+
+// Age limits in the body as { min_age_days, max_age_days }, only those
+// present. Takes min_age_days / max_age_days, or required_age / max_age in
+// age_unit (years by default; the maximum is inclusive). false when invalid.
+function vaccineAgeLimits(body) {
+  const out = {};
+  const given = (v) => v !== undefined && v !== null && v !== "";
+  const unit = AGE_UNIT_DAYS[body.age_unit || "years"];
+  if (!unit) return false;
+  const toDays = (n) => Math.floor(n * unit);
+
+  if (body.min_age_days !== undefined) out.min_age_days = given(body.min_age_days) ? Number(body.min_age_days) : 0;
+  else if (body.required_age !== undefined) out.min_age_days = given(body.required_age) ? toDays(Number(body.required_age)) : 0;
+  if (body.max_age_days !== undefined) out.max_age_days = given(body.max_age_days) ? Number(body.max_age_days) : null;
+  else if (body.max_age !== undefined) out.max_age_days = given(body.max_age) ? toDays(Number(body.max_age) + 1) - 1 : null;
+
+  for (const v of Object.values(out)) if (v !== null && !(Number.isInteger(v) && v >= 0)) return false;
+  return out;
+}
+
+// null when the patient may have the vaccine on `date`, otherwise why not
+function ageIneligibility(patient, vaccine, date) {
+  const min = Number(vaccine.min_age_days) || 0;
+  const max = vaccine.max_age_days === null || vaccine.max_age_days === undefined ? null : Number(vaccine.max_age_days);
+  if (!min && max === null) return null;
+  if (!patient.dob) return `${vaccine.name} has an age requirement; add the patient's date of birth first`;
+
+  const age = ageInDays(patient.dob, date);
+  const range = max === null ? `${formatAge(min)} and over` : `${formatAge(min)} to ${formatAge(max)}`;
+  if (age < min || (max !== null && age > max)) {
+    return `${vaccine.name} is for ages ${range}; the patient will be ${formatAge(Math.max(age, 0))} old on ${ymd(date)}`;
   }
-});
+  return null;
+}
+
+async function checkAgeEligibility(patientId, vaccineId, date) {
+  const [p] = await query("SELECT id, dob FROM patients WHERE id=?", [patientId]);
+  const [v] = await query("SELECT id, name, min_age_days, max_age_days FROM vaccines WHERE id=?", [vaccineId]);
+  if (!p || !v) return "Invalid patient or vaccine";
+  return ageIneligibility(p, v, date);
+}
 
-app.delete("/api/centers/:id", auth, async (req, res) => {
+// Vaccines the patient could book on ?date= (default today), with the reason
+// for each one they can't. ?patient_id= defaults to the user's own profile.
+app.get("/api/eligibility", auth, async (req, res) => {
   try {
-    if (req.user.role !== "admin") 
-      return res.status(403).json({ success: false, msg: "Unauthorized" });
+    let patientId = req.query.patient_id;
+    if (!patientId) {
+      const own = req.user.id ? await query("SELECT id FROM patients WHERE user_id=?", [req.user.id]) : [];
+      if (!own.length) return res.json({ success: false, msg: "No patient profile" });
+      patientId = own[0].id;
+    } else {
+      const staff = hasPermission(req.user, "patients:read") && (await patientInCenterScope(await centerScope(req.user), patientId));
+      if (!staff && !(req.user.id && (await canManagePatient(req.user.id, patientId)))) {
+        return res.status(403).json({ success: false, msg: "Unauthorized" });
+      }
+    }
 
-    await query("DELETE FROM centers WHERE id=?", [req.params.id]);
-    return res.json({ success: true });
+    const date = req.query.date ? localDate(req.query.date) : new Date();
+    if (!date) return res.json({ success: false, msg: "Invalid date" });
+
+    const [patient] = await query("SELECT id, name, dob FROM patients WHERE id=?", [patientId]);
+    if (!patient) return res.json({ success: false, msg: "Patient not found" });
+    const vaccines = await query(
+      "SELECT id, name, dose_type, required_age, max_age, min_age_days, max_age_days FROM vaccines ORDER BY name ASC"
+    );
 
+    const list = [];
+    for (const v of vaccines) {
+      const reasons = [];
+      const ageReason = ageIneligibility(patient, v, date);
+      if (ageReason) reasons.push(ageReason);
+      const ci = await checkContraindications(patient.id, v.id);
+      if (ci.block.length && !ci.overridden) reasons.push(contraindicationMsg(ci));
+      list.push({ ...v, eligible: !reasons.length, reasons, warnings: contraindicationWarnings(ci) });
+    }
+    return res.json({
+      success: true,
+      patient_id: patient.id,
+      date: ymd(date),
+      age: patient.dob ? ageOn(patient.dob, date) : null,
+      age_days: patient.dob ? ageInDays(patient.dob, date) : null,
+      vaccines: list,
+    });
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-
 // ======================================================
-// INVENTORY
+// CONSENT
 // ======================================================
-app.get("/api/inventory", auth, async (req, res) => {
+// ~150 KB of base64 PNG is plenty for a signature pad
+const MAX_DRAWN_SIGNATURE = 200000;
+
+// The vaccine's own active form, else the general one (vaccine_id NULL), else null
+async function consentFormFor(vaccineId) {
+  const rows = await query(
+    `SELECT * FROM consent_forms WHERE is_active=1 AND (vaccine_id=? OR vaccine_id IS NULL)
+     ORDER BY vaccine_id IS NULL, version DESC LIMIT 1`,
+    [vaccineId]
+  );
+  return rows[0] || null;
+}
+
+// PNG bytes of a "data:image/png;base64,..." signature, or null when the
+// data isn't a PNG
+const PNG_SIGNATURE = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex"); // magic + IHDR chunk header
+function signatureImage(dataUrl) {
+  const buf = Buffer.from(String(dataUrl).slice(String(dataUrl).indexOf(",") + 1), "base64");
+  return buf.length > PNG_SIGNATURE.length + 8 && buf.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE) ? buf : null;
+}
+
+// Checks { form_id, signer_name, signature_type: typed|drawn, signature }
+// against the form that applies; returns an error message or null
+function consentInputError(form, input) {
+  if (!input || typeof input !== "object") return "Consent is missing";
+  if (Number(input.form_id) !== form.id) return "The consent form has changed; please read and sign the current version";
+  if (!String(input.signer_name || "").trim()) return "Signer name is required";
+  if (input.signature_type === "typed") {
+    if (!String(input.signature || "").trim() || String(input.signature).length > 200) return "Type your full name to sign";
+  } else if (input.signature_type === "drawn") {
+    const sig = String(input.signature || "");
+    if (!sig.startsWith("data:image/png;base64,") || sig.length > MAX_DRAWN_SIGNATURE || !signatureImage(sig)) {
+      return "Invalid drawn signature";
+    }
+  } else {
+    return "signature_type must be typed or drawn";
+  }
+  return null;
+}
+
+// Stores an acceptance for the appointment. The patient themself signs as
+// "self", a guardian with their relationship; staff capturing it at
+// check-in give { relationship } in the input. Pass `conn` inside a
+// transaction.
+async function saveConsent(appt, form, input, user, req, conn = null) {
+  const run = async (sql, params) => (conn ? (await conn.query(sql, params))[0] : query(sql, params));
+  let relationship = "self";
+  let signedBy = user.id;
+  let capturedBy = null;
+  const [own] = await run("SELECT id FROM patients WHERE id=? AND user_id=?", [appt.patient_id, user.id || 0]);
+  if (!own) {
+    const [g] = await run("SELECT relationship FROM patient_guardians WHERE patient_id=? AND user_id=?", [appt.patient_id, user.id || 0]);
+    if (g) relationship = g.relationship || "guardian";
+    else {
+      relationship = String(input.relationship || "self").slice(0, 32);
+      signedBy = null;
+      capturedBy = user.id;
+    }
+  }
+  const result = await run(
+    `INSERT INTO consents (appointment_id,patient_id,form_id,signer_name,relationship,signature_type,signature,signed_by,captured_by,ip,user_agent)
+     VALUES(?,?,?,?,?,?,?,?,?,?,?)`,
+    [
+      appt.id,
+      appt.patient_id,
+      form.id,
+      String(input.signer_name).trim().slice(0, 200),
+      relationship,
+      input.signature_type,
+      String(input.signature),
+      signedBy,
+      capturedBy,
+      req.ip,
+      String(req.headers["user-agent"] || "").slice(0, 255) || null,
+    ]
+  );
+  return result.insertId;
+}
+
+async function latestConsent(appointmentId) {
+  const rows = await query(
+    `SELECT c.*, f.title AS form_title, f.version AS form_version, f.vaccine_id
+     FROM consents c JOIN consent_forms f ON f.id = c.form_id
+     WHERE c.appointment_id=? ORDER BY c.id DESC LIMIT 1`,
+    [appointmentId]
+  );
+  return rows[0] || null;
+}
+
+// ?vaccine_id= ; ?all=1 includes retired versions
+app.get("/api/consent-forms", auth, async (req, res) => {
   try {
-    const rows = await query("SELECT i.*, v.name AS vaccine_name FROM inventory i LEFT JOIN vaccines v ON v.id=i.vaccine_id ORDER BY i.id DESC");
+    const where = [];
+    const params = [];
+    if (req.query.all !== "1") where.push("is_active=1");
+    if (req.query.vaccine_id) {
+      where.push("vaccine_id=?");
+      params.push(req.query.vaccine_id);
+    }
+    const rows = await query(
+      `SELECT * FROM consent_forms ${where.length ? "WHERE " + where.join(" AND ") : ""} ORDER BY vaccine_id, version DESC`,
+      params
+    );
     return res.json(rows);
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.get("/api/inventory/:id", auth, async (req, res) => {
+app.get("/api/vaccines/:id/consent-form", auth, async (req, res) => {
   try {
-    const rows = await query("SELECT i.*, v.name AS vaccine_name FROM inventory i LEFT JOIN vaccines v ON v.id=i.vaccine_id WHERE i.id=?", [req.params.id]);
-    return res.json(rows[0] || {});
+    return res.json((await consentFormFor(req.params.id)) || {});
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.post("/api/inventory", auth, async (req, res) => {
+// Body: { vaccine_id (omit for the general form), title, body }. Replaces the
+// active form for that vaccine with a new version.
+app.post("/api/consent-forms", auth, requirePermission("consent:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
-    const { vaccine_id, batch_no, quantity, expiry_date } = req.body;
-    await query("INSERT INTO inventory (vaccine_id,batch_no,quantity,expiry_date) VALUES(?,?,?,?)", [vaccine_id, batch_no || null, quantity || 0, expiry_date || null]);
-    return res.json({ success: true });
+    const { title, body } = req.body;
+    const vaccineId = req.body.vaccine_id || null;
+    if (!title || !body) return res.json({ success: false, msg: "Title and text are required" });
+
+    const [prev] = await query("SELECT MAX(version) AS v FROM consent_forms WHERE vaccine_id <=> ?", [vaccineId]);
+    await query("UPDATE consent_forms SET is_active=0 WHERE vaccine_id <=> ?", [vaccineId]);
+    const result = await query(
+      "INSERT INTO consent_forms (vaccine_id,title,body,version,created_by) VALUES(?,?,?,?,?)",
+      [vaccineId, title, body, (prev.v || 0) + 1, req.user.id]
+    );
+    return res.json({ success: true, id: result.insertId, version: (prev.v || 0) + 1 });
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.put("/api/inventory/:id", auth, async (req, res) => {
+// Retires the form; consent is then no longer asked for that vaccine
+// (unless a general form applies)
+app.delete("/api/consent-forms/:id", auth, requirePermission("consent:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
-    const { vaccine_id, batch_no, quantity, expiry_date } = req.body;
-    await query("UPDATE inventory SET vaccine_id=?,batch_no=?,quantity=?,expiry_date=? WHERE id=?", [vaccine_id, batch_no || null, quantity || 0, expiry_date || null, req.params.id]);
+    await query("UPDATE consent_forms SET is_active=0 WHERE id=?", [req.params.id]);
     return res.json({ success: true });
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.delete("/api/inventory/:id", auth, async (req, res) => {
+// Patient/guardian, or staff at check-in
+async function consentAccess(user, appt) {
+  if (user.id && (await canManagePatient(user.id, appt.patient_id))) return true;
+  return hasPermission(user, "appointments:complete") && inCenterScope(await centerScope(user), appt.center_id);
+}
+
+app.get("/api/appointments/:id/consent", auth, async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
-    await query("DELETE FROM inventory WHERE id=?", [req.params.id]);
-    return res.json({ success: true });
+    const [appt] = await query("SELECT * FROM appointments WHERE id=?", [req.params.id]);
+    if (!appt || !(await consentAccess(req.user, appt))) return res.json({ success: false, msg: "Appointment not found" });
+    const form = await consentFormFor(appt.vaccine_id);
+    return res.json({ success: true, required: !!form, form, consent: await latestConsent(appt.id) });
   } catch (err) {
     return sendErr(res, err);
   }
 });
 
-app.post("/api/inventory/:id/adjust", auth, async (req, res) => {
+app.post("/api/appointments/:id/consent", auth, async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
-    const { delta } = req.body;
-    await query("UPDATE inventory SET quantity = GREATEST(quantity + ?, 0) WHERE id=?", [Number(delta) || 0, req.params.id]);
-    return res.json({ success: true });
+    const [appt] = await query("SELECT * FROM appointments WHERE id=?", [req.params.id]);
+    if (!appt || !(await consentAccess(req.user, appt))) return res.json({ success: false, msg: "Appointment not found" });
+    if (!["booked", "confirmed"].includes(appt.status)) return res.json({ success: false, msg: "Appointment is not open" });
+
+    const form = await consentFormFor(appt.vaccine_id);
+    if (!form) return res.json({ success: false, msg: "No consent form applies to this vaccine" });
+    const error = consentInputError(form, req.body);
+    if (error) return res.json({ success: false, msg: error });
+
+    const id = await saveConsent(appt, form, req.body, req.user, req);
+    return res.json({ success: true, id });
   } catch (err) {
     return sendErr(res, err);
   }
@@ -384,27 +4213,30 @@ app.post("/api/inventory/:id/adjust", auth, async (req, res) => {
 // ======================================================
 app.get("/api/appointments", auth, async (req, res) => {
   try {
-    if (req.user.role === "admin") {
+    if (hasPermission(req.user, "appointments:read")) {
+      const [scopeSql, scopeParams] = centerScopeSql(await centerScope(req.user), "a.center_id");
       const rows = await query(`
         SELECT a.*, p.name AS patient_name, v.name AS vaccine_name, c.name AS center_name
         FROM appointments a
         LEFT JOIN patients p ON p.id = a.patient_id
         LEFT JOIN vaccines v ON v.id = a.vaccine_id
         LEFT JOIN centers c ON c.id = a.center_id
+        WHERE ${scopeSql}
         ORDER BY a.appointment_date DESC
-      `);
+      `, scopeParams);
       return res.json(rows);
     } else {
-      const pr = await query("SELECT id FROM patients WHERE user_id=?", [req.user.id]);
-      const pid = pr[0] ? pr[0].id : null;
+      const pids = await requestedPatientIds(req);
+      if (!pids.length) return res.json([]);
       const rows = await query(`
-        SELECT a.*, v.name AS vaccine_name, c.name AS center_name
+        SELECT a.*, p.name AS patient_name, v.name AS vaccine_name, c.name AS center_name
         FROM appointments a
+        LEFT JOIN patients p ON p.id = a.patient_id
         LEFT JOIN vaccines v ON v.id = a.vaccine_id
         LEFT JOIN centers c ON c.id = a.center_id
-        WHERE a.patient_id = ?
+        WHERE a.patient_id IN (?)
         ORDER BY a.appointment_date DESC
-      `, [pid]);
+      `, [pids]);
       return res.json(rows);
     }
   } catch (err) {
@@ -412,7 +4244,8 @@ app.get("/api/appointments", auth, async (req, res) => {
   }
 });
 
-app.post("/api/appointments", auth, async (req, res) => {
+app.post("/api/appointments", auth, requireVerified, async (req, res) => {
+  let conn = null;
   try {
     if (req.user.role !== "patient") return res.status(403).json({ success: false, msg: "Only patients can book" });
     const { patient_id, vaccine_id, appointment_date, center_id, dose_no, note } = req.body;
@@ -423,23 +4256,63 @@ app.post("/api/appointments", auth, async (req, res) => {
       return res.json({ success: false, msg: "Invalid appointment date format" });
     }
 
-    // ensure patient belongs to user
-    const pr = await query("SELECT * FROM patients WHERE id=? AND user_id=?", [patient_id, req.user.id]);
-    if (!pr.length) return res.json({ success: false, msg: "Invalid patient record" });
+    // the patient must be the user or one of their dependents
+    if (!(await canManagePatient(req.user.id, patient_id))) return res.json({ success: false, msg: "Invalid patient record" });
+
+    const ageReason = await checkAgeEligibility(patient_id, vaccine_id, apptDate);
+    if (ageReason) return res.json({ success: false, msg: ageReason });
+
+    const check = await checkContraindications(patient_id, vaccine_id);
+    if (check.block.length && !check.overridden) {
+      return res.json({ success: false, msg: contraindicationMsg(check), contraindications: check });
+    }
 
     const inv = await query("SELECT SUM(quantity) AS qty FROM inventory WHERE vaccine_id=? AND (expiry_date IS NULL OR expiry_date >= CURDATE())", [vaccine_id]);
     if (!inv || inv[0].qty <= 0) return res.json({ success: false, msg: "Vaccine out of stock" });
 
-    await query("INSERT INTO appointments (patient_id,vaccine_id,appointment_date,center_id,status,note,dose_no) VALUES(?,?,?,?,?,?,?)", [patient_id, vaccine_id, appointment_date, center_id || null, 'booked', note || null, dose_no || 1]);
-    return res.json({ success: true });
+    // consent may be given now ({ consent }) or later, up to check-in
+    const form = await consentFormFor(vaccine_id);
+    if (form && req.body.consent) {
+      const error = consentInputError(form, req.body.consent);
+      if (error) return res.json({ success: false, msg: error });
+    }
+
+    // the appointment and its consent are stored together or not at all
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const [result] = await conn.query("INSERT INTO appointments (patient_id,vaccine_id,appointment_date,center_id,status,note,dose_no) VALUES(?,?,?,?,?,?,?)", [patient_id, vaccine_id, appointment_date, center_id || null, 'booked', note || null, dose_no || 1]);
+    const consented = !!(form && req.body.consent);
+    if (consented) {
+      await saveConsent({ id: result.insertId, patient_id: Number(patient_id) }, form, req.body.consent, req.user, req, conn);
+    }
+    await conn.commit();
+    conn.release();
+    conn = null;
+    return res.json({
+      success: true,
+      id: result.insertId,
+      consent_required: !!form && !consented,
+      warnings: contraindicationWarnings(check),
+    });
   } catch (err) {
+    if (conn) {
+      await conn.rollback();
+      conn.release();
+    }
     return sendErr(res, err);
   }
 });
 
-app.post("/api/appointments/:id/status", auth, async (req, res) => {
+// Loads the appointment if it exists and sits in one of the user's centers
+async function scopedAppointment(user, id) {
+  const rows = await query("SELECT * FROM appointments WHERE id=?", [id]);
+  if (!rows.length || !inCenterScope(await centerScope(user), rows[0].center_id)) return null;
+  return rows[0];
+}
+
+app.post("/api/appointments/:id/status", auth, requirePermission("appointments:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
+    if (!(await scopedAppointment(req.user, req.params.id))) return res.json({ success: false, msg: "Appointment not found" });
     const { status } = req.body;
     await query("UPDATE appointments SET status=? WHERE id=?", [status, req.params.id]);
     return res.json({ success: true });
@@ -448,10 +4321,17 @@ app.post("/api/appointments/:id/status", auth, async (req, res) => {
   }
 });
 
-app.post("/api/appointments/:id/assign", auth, async (req, res) => {
+app.post("/api/appointments/:id/assign", auth, requirePermission("appointments:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
+    if (!(await scopedAppointment(req.user, req.params.id))) return res.json({ success: false, msg: "Appointment not found" });
     const { staff_id } = req.body;
+
+    const staff = await query(
+      `SELECT id FROM users WHERE id=? AND role IN (${STAFF_ROLE_SQL}) AND is_active=1`,
+      [staff_id]
+    );
+    if (!staff.length) return res.json({ success: false, msg: "Invalid or inactive staff member" });
+
     await query("UPDATE appointments SET assigned_to=? WHERE id=?", [staff_id, req.params.id]);
     return res.json({ success: true });
   } catch (err) {
@@ -459,22 +4339,64 @@ app.post("/api/appointments/:id/assign", auth, async (req, res) => {
   }
 });
 
-app.post("/api/appointments/:id/complete", auth, async (req, res) => {
+app.post("/api/appointments/:id/complete", auth, requirePermission("appointments:complete"), async (req, res) => {
   const conn = await pool.getConnection();
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
-
     const ap = await conn.query("SELECT * FROM appointments WHERE id=?", [req.params.id]);
     if (!ap[0].length) { conn.release(); return res.json({ success: false, msg: "Appointment not found" }); }
     const a = ap[0][0];
+    if (!inCenterScope(await centerScope(req.user), a.center_id)) {
+      conn.release();
+      return res.status(403).json({ success: false, msg: "Appointment belongs to another center" });
+    }
+
+    const ageReason = await checkAgeEligibility(a.patient_id, a.vaccine_id, new Date());
+    if (ageReason) {
+      conn.release();
+      return res.json({ success: false, msg: ageReason });
+    }
+
+    // blocked unless overridden beforehand or, by an admin, right here with { override_reason }
+    const check = await checkContraindications(a.patient_id, a.vaccine_id, a.id);
+    const overrideReason = String(req.body.override_reason || "").trim();
+    if (check.block.length && !check.overridden) {
+      if (!overrideReason || !hasPermission(req.user, "contraindications:override")) {
+        conn.release();
+        return res.json({ success: false, msg: contraindicationMsg(check), contraindications: check });
+      }
+    }
+
+    const consentForm = await consentFormFor(a.vaccine_id);
+    const consent = consentForm ? await latestConsent(a.id) : null;
+    if (consentForm && !consent) {
+      conn.release();
+      return res.json({ success: false, msg: "Consent has not been recorded for this appointment", code: "CONSENT_REQUIRED" });
+    }
+    // only a signature on the form in force now counts
+    if (consentForm && consent.form_id !== consentForm.id) {
+      conn.release();
+      return res.json({
+        success: false,
+        msg: "The consent form has changed since it was signed; please record consent again",
+        code: "CONSENT_REQUIRED",
+      });
+    }
 
     await conn.beginTransaction();
 
+    if (check.block.length && !check.overridden) {
+      await conn.query(
+        "INSERT INTO contraindication_overrides (patient_id,vaccine_id,appointment_id,terms,reason,created_by) VALUES(?,?,?,?,?,?)",
+        [a.patient_id, a.vaccine_id, a.id, check.block.join(", "), overrideReason, req.user.id]
+      );
+    }
+
     const doseNo = req.body.dose_no || 1;
     const given_on = new Date();
     const given_by = req.user.id;
 
-    const ins = await conn.query("INSERT INTO vaccination_records (patient_id,vaccine_id,dose_no,given_on,given_by,appointment_id) VALUES(?,?,?,?,?,?)", [a.patient_id, a.vaccine_id, doseNo, given_on, given_by, a.id]);
+    const versionId = await recordPatientVersion(a.patient_id, null, "vaccination", conn);
+    const ins = await conn.query("INSERT INTO vaccination_records (patient_id,vaccine_id,dose_no,given_on,given_by,appointment_id,center_id,patient_version_id,consent_id) VALUES(?,?,?,?,?,?,?,?,?)", [a.patient_id, a.vaccine_id, doseNo, given_on, given_by, a.id, a.center_id, versionId, consent ? consent.id : null]);
 
     // decrement one from earliest non-expired batch
     const [batches] = await conn.query("SELECT * FROM inventory WHERE vaccine_id=? AND (expiry_date IS NULL OR expiry_date >= CURDATE()) AND quantity>0 ORDER BY expiry_date ASC, id ASC", [a.vaccine_id]);
@@ -490,7 +4412,7 @@ app.post("/api/appointments/:id/complete", auth, async (req, res) => {
 
     await conn.commit();
     conn.release();
-    return res.json({ success: true });
+    return res.json({ success: true, warnings: contraindicationWarnings(check) });
   } catch (err) {
     await conn.rollback();
     conn.release();
@@ -503,23 +4425,26 @@ app.post("/api/appointments/:id/complete", auth, async (req, res) => {
 // ======================================================
 app.get("/api/vaccination-records", auth, async (req, res) => {
   try {
-    if (req.user.role === "admin") {
+    if (hasPermission(req.user, "records:read")) {
+      const [scopeSql, scopeParams] = centerScopeSql(await centerScope(req.user), "r.center_id");
       const rows = await query(`SELECT r.*, p.name as patient_name, v.name as vaccine_name, u.name as staff_name
         FROM vaccination_records r
         LEFT JOIN patients p ON p.id = r.patient_id
         LEFT JOIN vaccines v ON v.id = r.vaccine_id
         LEFT JOIN users u ON u.id = r.given_by
-        ORDER BY r.given_on DESC`);
+        WHERE ${scopeSql}
+        ORDER BY r.given_on DESC`, scopeParams);
       return res.json(rows);
     } else {
-      const pr = await query("SELECT id FROM patients WHERE user_id=?", [req.user.id]);
-      const pid = pr[0] ? pr[0].id : null;
-      const rows = await query(`SELECT r.*, v.name as vaccine_name, u.name as staff_name
+      const pids = await requestedPatientIds(req);
+      if (!pids.length) return res.json([]);
+      const rows = await query(`SELECT r.*, p.name as patient_name, v.name as vaccine_name, u.name as staff_name
         FROM vaccination_records r
+        LEFT JOIN patients p ON p.id = r.patient_id
         LEFT JOIN vaccines v ON v.id = r.vaccine_id
         LEFT JOIN users u ON u.id = r.given_by
-        WHERE r.patient_id = ?
-        ORDER BY r.given_on DESC`, [pid]);
+        WHERE r.patient_id IN (?)
+        ORDER BY r.given_on DESC`, [pids]);
       return res.json(rows);
     }
   } catch (err) {
@@ -527,9 +4452,15 @@ app.get("/api/vaccination-records", auth, async (req, res) => {
   }
 });
 
-app.put("/api/vaccination-records/:id", auth, async (req, res) => {
+async function scopedRecord(user, id) {
+  const rows = await query("SELECT * FROM vaccination_records WHERE id=?", [id]);
+  if (!rows.length || !inCenterScope(await centerScope(user), rows[0].center_id)) return null;
+  return rows[0];
+}
+
+app.put("/api/vaccination-records/:id", auth, requirePermission("records:edit"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
+    if (!(await scopedRecord(req.user, req.params.id))) return res.json({ success: false, msg: "Record not found" });
     const { dose_no, given_on } = req.body;
     await query("UPDATE vaccination_records SET dose_no=?, given_on=? WHERE id=?", [dose_no, given_on, req.params.id]);
     return res.json({ success: true });
@@ -538,9 +4469,9 @@ app.put("/api/vaccination-records/:id", auth, async (req, res) => {
   }
 });
 
-app.delete("/api/vaccination-records/:id", auth, async (req, res) => {
+app.delete("/api/vaccination-records/:id", auth, requirePermission("records:delete"), async (req, res) => {
   try {
-    if (req.user.role !== "admin") return res.status(403).json({ success: false, msg: "Unauthorized" });
+    if (!(await scopedRecord(req.user, req.params.id))) return res.json({ success: false, msg: "Record not found" });
     await query("DELETE FROM vaccination_records WHERE id=?", [req.params.id]);
     return res.json({ success: true });
   } catch (err) {
@@ -550,7 +4481,7 @@ app.delete("/api/vaccination-records/:id", auth, async (req, res) => {
 
 app.get("/api/vaccination-records/:id/certificate", auth, async (req, res) => {
   try {
-    const rows = await query(`SELECT r.*, p.name as patient_name, v.name as vaccine_name, u.name as staff_name
+    const rows = await query(`SELECT r.*, p.name as patient_name, p.health_id, p.id_proof_status, v.name as vaccine_name, u.name as staff_name
       FROM vaccination_records r
       LEFT JOIN patients p ON p.id = r.patient_id
       LEFT JOIN vaccines v ON v.id = r.vaccine_id
@@ -559,25 +4490,69 @@ app.get("/api/vaccination-records/:id/certificate", auth, async (req, res) => {
     if (!rows.length) return res.status(404).send("Not found");
     const rec = rows[0];
 
-    const filename = `cert_${req.params.id}.pdf`;
-    const filepath = path.join(CERT_DIR, filename);
+    const allowed = hasPermission(req.user, "records:read")
+      ? inCenterScope(await centerScope(req.user), rec.center_id)
+      : await canManagePatient(req.user.id, rec.patient_id);
+    if (!allowed) return res.status(404).send("Not found");
+    if (REQUIRE_ID_VERIFICATION && rec.id_proof_status !== "verified") {
+      return res.status(403).json({ success: false, msg: "The patient's ID proof must be verified before a certificate is issued" });
+    }
+
+    // everything that can fail is fetched before the PDF starts streaming
+    let c = null;
+    if (rec.consent_id) {
+      [c] = await query(
+        `SELECT c.*, f.title AS form_title, f.version AS form_version
+         FROM consents c JOIN consent_forms f ON f.id = c.form_id WHERE c.id=?`,
+        [rec.consent_id]
+      );
+    }
+    const verifyUrl = rec.health_id ? `${APP_URL}/api/certificates/verify?record=${rec.id}&identifier=${rec.health_id}` : null;
+    const qr = verifyUrl ? await QRCode.toBuffer(verifyUrl, { width: 120 }) : null;
+
+    // streamed, never stored: the PDF carries the signature and health ID
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="cert_${rec.id}.pdf"`);
+    res.set("Cache-Control", "private, no-store");
     const doc = new PDFDocument();
-    doc.pipe(fs.createWriteStream(filepath));
+    doc.pipe(res);
     doc.fontSize(18).text("Vaccination Certificate", { align: "center" });
     doc.moveDown();
     doc.fontSize(12).text(`Patient: ${rec.patient_name || "—"}`);
+    doc.text(`Health ID: ${formatHealthId(rec.health_id) || "—"}`);
     doc.text(`Vaccine: ${rec.vaccine_name || "—"}`);
     doc.text(`Dose No: ${rec.dose_no || "—"}`);
     doc.text(`Given On: ${new Date(rec.given_on).toLocaleString()}`);
     doc.text(`Given By: ${rec.staff_name || "—"}`);
+    if (c) {
+      doc.moveDown();
+      doc.fontSize(14).text("Informed consent");
+      doc.fontSize(11).text(`Form: ${c.form_title} (version ${c.form_version})`);
+      doc.text(`Accepted by: ${c.signer_name} (${c.relationship}) on ${new Date(c.accepted_at).toLocaleString()}`);
+      if (c.signature_type === "drawn" && c.signature) {
+        try {
+          doc.image(signatureImage(c.signature), { fit: [200, 60] });
+        } catch (e) {
+          console.error("CERT SIGNATURE:", e.message);
+          doc.text("Signed: [signature image unavailable]");
+        }
+      } else if (c.signature) {
+        doc.font("Helvetica-Oblique").text(`Signed: ${c.signature}`).font("Helvetica");
+      }
+      doc.fontSize(12);
+    }
     doc.moveDown();
     doc.text("This certificate is system generated.");
+    if (qr) {
+      doc.moveDown();
+      doc.image(qr, { fit: [100, 100] });
+      doc.fontSize(9).text(`Verify: ${verifyUrl}`);
+    }
     doc.end();
-    doc.on("end", () => {}); // harmless
-    // send when file ready (small delay for write)
-    setTimeout(() => res.sendFile(filepath), 500);
   } catch (err) {
-    return sendErr(res, err);
+    if (!res.headersSent) return sendErr(res, err);
+    console.error("CERTIFICATE ERR:", err);
+    res.destroy();
   }
 });
 
@@ -585,7 +4560,8 @@ app.get("/api/vaccination-records/:id/certificate", auth, async (req, res) => {
 app.get("/api/vaccines/:id", auth, async (req, res) => {
   try {
     const rows = await query("SELECT * FROM vaccines WHERE id=?", [req.params.id]);
-    return res.json(rows[0] || {});
+    if (!rows.length) return res.json({});
+    return res.json({ ...rows[0], contraindications: jsonValue(rows[0].contraindications) });
   } catch (err) {
     return sendErr(res, err);
   }
@@ -599,19 +4575,18 @@ app.get("/api/my/vaccinations", auth, async (req, res) => {
     if (req.user.role !== "patient")
       return res.status(403).json({ msg: "Patients only" });
 
-    // get patient record id
-    const pr = await query("SELECT id FROM patients WHERE user_id=?", [req.user.id]);
-    if (!pr.length) return res.json([]);
-
-    const pid = pr[0].id;
+    // own profile by default; ?patient_id= for a dependent (or "all")
+    const pids = await requestedPatientIds(req);
+    if (!pids.length) return res.json([]);
 
     const rows = await query(`
-      SELECT r.*, v.name AS vaccine_name 
+      SELECT r.*, v.name AS vaccine_name, p.name AS patient_name
       FROM vaccination_records r
       LEFT JOIN vaccines v ON v.id = r.vaccine_id
-      WHERE r.patient_id = ?
+      LEFT JOIN patients p ON p.id = r.patient_id
+      WHERE r.patient_id IN (?)
       ORDER BY r.given_on DESC
-    `, [pid]);
+    `, [pids]);
 
     return res.json(rows);
 
@@ -623,7 +4598,7 @@ app.get("/api/my/vaccinations", auth, async (req, res) => {
 
 
 // PATIENT → CREATE FEEDBACK
-app.post("/api/feedback", auth, upload.single("attachment"), async (req, res) => {
+app.post("/api/feedback", auth, acceptUpload("attachment"), async (req, res) => {
   try {
     const { type, appointment_id, center_id, rating, message } = req.body;
 
@@ -669,17 +4644,16 @@ app.get("/api/feedback/my", auth, async (req, res) => {
 
 
 // ADMIN → SEE ALL FEEDBACK
-app.get("/api/feedback", auth, async (req, res) => {
+app.get("/api/feedback", auth, requirePermission("feedback:read"), async (req, res) => {
   try {
-    if (req.user.role !== "admin")
-      return res.status(403).json({ msg: "Admin only" });
-
+    const [scopeSql, scopeParams] = centerScopeSql(await centerScope(req.user), "f.center_id");
     const rows = await query(`
       SELECT f.*, u.name AS patient_name
       FROM feedback f
       LEFT JOIN users u ON u.id = f.user_id
+      WHERE ${scopeSql}
       ORDER BY f.created_at DESC
-    `);
+    `, scopeParams);
 
     return res.json(rows);
   } catch (err) {
@@ -688,12 +4662,16 @@ app.get("/api/feedback", auth, async (req, res) => {
 });
 
 
+async function scopedFeedback(user, id) {
+  const rows = await query("SELECT * FROM feedback WHERE id=?", [id]);
+  if (!rows.length || !inCenterScope(await centerScope(user), rows[0].center_id)) return null;
+  return rows[0];
+}
+
 // ADMIN → SEND REPLY
-app.post("/api/feedback/:id/reply", auth, async (req, res) => {
+app.post("/api/feedback/:id/reply", auth, requirePermission("feedback:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "admin")
-      return res.status(403).json({ msg: "Admin only" });
-
+    if (!(await scopedFeedback(req.user, req.params.id))) return res.json({ success: false, msg: "Feedback not found" });
     const { reply } = req.body;
 
     await query(
@@ -709,11 +4687,9 @@ app.post("/api/feedback/:id/reply", auth, async (req, res) => {
 
 
 // ADMIN → CLOSE TICKET
-app.post("/api/feedback/:id/close", auth, async (req, res) => {
+app.post("/api/feedback/:id/close", auth, requirePermission("feedback:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "admin")
-      return res.status(403).json({ msg: "Admin only" });
-
+    if (!(await scopedFeedback(req.user, req.params.id))) return res.json({ success: false, msg: "Feedback not found" });
     await query("UPDATE feedback SET status='closed' WHERE id=?", [
       req.params.id,
     ]);
@@ -726,11 +4702,9 @@ app.post("/api/feedback/:id/close", auth, async (req, res) => {
 
 
 // ADMIN → DELETE FEEDBACK
-app.delete("/api/feedback/:id", auth, async (req, res) => {
+app.delete("/api/feedback/:id", auth, requirePermission("feedback:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "admin")
-      return res.status(403).json({ msg: "Admin only" });
-
+    if (!(await scopedFeedback(req.user, req.params.id))) return res.json({ success: false, msg: "Feedback not found" });
     await query("DELETE FROM feedback WHERE id=?", [req.params.id]);
 
     return res.json({ success: true });
@@ -783,11 +4757,8 @@ app.post("/api/notifications/read/:id", auth, async (req, res) => {
 });
 
 // ADMIN SEND NOTIFICATION
-app.post("/api/admin/notify", auth, async (req, res) => {
+app.post("/api/admin/notify", auth, requirePermission("notifications:send"), async (req, res) => {
   try {
-    if (req.user.role !== "admin")
-      return res.status(403).json({ msg: "Admin only" });
-
     const { audience, title, message, user_id } = req.body;
 
     // 1️⃣ SINGLE USER
@@ -813,7 +4784,7 @@ app.post("/api/admin/notify", auth, async (req, res) => {
 
     // 3️⃣ STAFF
     if (audience === "staff") {
-      const users = await query("SELECT id FROM users WHERE role='staff'");
+      const users = await query(`SELECT id FROM users WHERE role IN (${STAFF_ROLE_SQL}) AND is_active=1`);
       for (let u of users) {
         await query(
           "INSERT INTO notifications (user_id,title,message) VALUES (?,?,?)",
@@ -839,7 +4810,310 @@ app.post("/api/admin/notify", auth, async (req, res) => {
 });
 
 
+// ======================================================
+// FILES (private uploads)
+// ======================================================
+// Served to whoever may see the record the file belongs to: ID proofs to the
+// patient, their guardians, reviewers and patient staff of the patient's
+// centers; feedback attachments to the author and feedback staff for that
+// center.
+app.get("/api/files/:name", auth, async (req, res) => {
+  try {
+    const stored = "/uploads/" + path.basename(req.params.name);
+    const file = uploadPath(stored);
+    if (!file) return res.status(404).json({ success: false, msg: "Not found" });
+
+    let allowed = false;
+    const pats = await query("SELECT id FROM patients WHERE id_proof=?", [stored]);
+    for (const p of pats) {
+      if (hasPermission(req.user, "id_proofs:review") || (await canViewPatient(req.user, p.id))) allowed = true;
+    }
+    const fbs = await query("SELECT id,user_id FROM feedback WHERE attachment_path=?", [stored]);
+    for (const f of fbs) {
+      if (req.user.id && f.user_id === req.user.id) allowed = true;
+      else if (hasPermission(req.user, "feedback:read") && (await scopedFeedback(req.user, f.id))) allowed = true;
+    }
+    if (!allowed) return res.status(404).json({ success: false, msg: "Not found" });
+
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Cache-Control", "private, no-store");
+    return res.sendFile(file);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// ======================================================
+// PRIVACY: DATA EXPORT & ACCOUNT DELETION
+// ======================================================
+// Zip with data.json (everything we hold about the user and their
+// dependents) plus the files they uploaded under files/
+app.get("/api/my/export", auth, denyImpersonation, async (req, res) => {
+  try {
+    if (!req.user.id) return res.status(403).json({ success: false, msg: "Not available for API keys" });
+    const [account] = await query(
+      "SELECT id,name,email,role,is_active,email_verified_at,totp_enabled_at FROM users WHERE id=?",
+      [req.user.id]
+    );
+    const pids = await managedPatientIds(req.user.id);
+    const none = [0]; // keeps IN (?) valid when the user has no patient profile
+
+    const data = {
+      exported_at: new Date(),
+      account,
+      patients: await query("SELECT * FROM patients WHERE id IN (?)", [pids.length ? pids : none]),
+      guardianships: await query("SELECT * FROM patient_guardians WHERE user_id=?", [req.user.id]),
+      appointments: await query("SELECT * FROM appointments WHERE patient_id IN (?) ORDER BY appointment_date", [pids.length ? pids : none]),
+      vaccination_records: await query("SELECT * FROM vaccination_records WHERE patient_id IN (?) ORDER BY given_on", [
+        pids.length ? pids : none,
+      ]),
+      feedback: await query("SELECT * FROM feedback WHERE user_id=? ORDER BY created_at", [req.user.id]),
+      notifications: await query("SELECT * FROM notifications WHERE user_id=? ORDER BY created_at", [req.user.id]),
+      sessions: await query("SELECT id,user_agent,ip,created_at,last_seen_at,revoked_at FROM sessions WHERE user_id=?", [req.user.id]),
+      login_attempts: await query("SELECT ip,success,reason,created_at FROM login_attempts WHERE user_id=?", [req.user.id]),
+      deletion_requests: await query("SELECT * FROM deletion_requests WHERE user_id=?", [req.user.id]),
+      consents: await query(
+        "SELECT id,appointment_id,patient_id,form_id,signer_name,relationship,signature_type,accepted_at FROM consents WHERE patient_id IN (?)",
+        [pids.length ? pids : none]
+      ),
+      patient_versions: await query("SELECT * FROM patient_versions WHERE patient_id IN (?) ORDER BY patient_id, version", [
+        pids.length ? pids : none,
+      ]),
+    };
+
+    const files = [
+      ...data.patients.map((p) => p.id_proof),
+      ...data.feedback.map((f) => f.attachment_path),
+    ].map(uploadPath).filter(Boolean);
+
+    res.attachment(`my-data-${req.user.id}.zip`);
+    const zip = archiver("zip");
+    zip.on("error", (err) => {
+      console.error("EXPORT ERR:", err);
+      res.destroy(err);
+    });
+    zip.pipe(res);
+    zip.append(JSON.stringify(data, null, 2), { name: "data.json" });
+    for (const f of new Set(files)) zip.file(f, { name: "files/" + path.basename(f) });
+    await zip.finalize();
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/my/deletion-request", auth, denyImpersonation, async (req, res) => {
+  try {
+    const rows = await query("SELECT * FROM deletion_requests WHERE user_id=? ORDER BY created_at DESC LIMIT 1", [req.user.id]);
+    return res.json(rows[0] || {});
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/my/deletion-request", auth, denyImpersonation, async (req, res) => {
+  try {
+    if (!req.user.id) return res.status(403).json({ success: false, msg: "Not available for API keys" });
+    const open = await query("SELECT id FROM deletion_requests WHERE user_id=? AND status='pending'", [req.user.id]);
+    if (open.length) return res.json({ success: false, msg: "You already have a pending request" });
+
+    await query("INSERT INTO deletion_requests (user_id,reason) VALUES(?,?)", [req.user.id, req.body.reason || null]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.delete("/api/my/deletion-request", auth, denyImpersonation, async (req, res) => {
+  try {
+    await query("UPDATE deletion_requests SET status='cancelled' WHERE user_id=? AND status='pending'", [req.user.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+app.get("/api/deletion-requests", auth, requirePermission("privacy:manage"), async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT d.*, u.name AS user_name, u.email AS user_email
+       FROM deletion_requests d LEFT JOIN users u ON u.id = d.user_id
+       ${req.query.status ? "WHERE d.status=?" : ""}
+       ORDER BY d.created_at DESC`,
+      req.query.status ? [req.query.status] : []
+    );
+    return res.json(rows);
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
+// Strips personal data from the account, its patient profile and any
+// dependents nobody else looks after. Vaccination records (and the
+// appointments they came from) are kept, as are DOB and gender so the
+// records stay meaningful.
+async function anonymizeUser(conn, userId) {
+  const [own] = await conn.query("SELECT id FROM patients WHERE user_id=?", [userId]);
+  const [deps] = await conn.query(
+    `SELECT g.patient_id AS id FROM patient_guardians g
+     WHERE g.user_id=? AND NOT EXISTS (
+       SELECT 1 FROM patient_guardians o WHERE o.patient_id = g.patient_id AND o.user_id <> g.user_id
+     )`,
+    [userId]
+  );
+  const pids = [...own, ...deps].map((r) => r.id);
+  // patients merged into these (and into those, ...) before their history
+  // moved along with them
+  const mergedIds = [];
+  for (let next = pids; next.length; ) {
+    const [m] = await conn.query("SELECT merged_id FROM patient_merges WHERE survivor_id IN (?)", [next]);
+    next = m.map((r) => r.merged_id).filter((id) => !pids.includes(id) && !mergedIds.includes(id));
+    mergedIds.push(...next);
+  }
+  const historyIds = [...pids, ...mergedIds];
+
+  const [pats] = pids.length ? await conn.query("SELECT id_proof, phone FROM patients WHERE id IN (?)", [pids]) : [[]];
+  const [fb] = await conn.query("SELECT attachment_path FROM feedback WHERE user_id=?", [userId]);
+  const files = [...pats.map((p) => p.id_proof), ...fb.map((f) => f.attachment_path)].map(uploadPath).filter(Boolean);
+
+  if (pids.length) {
+    await conn.query(
+      `UPDATE patients SET name=CONCAT('Anonymized patient #', id), phone=NULL, address=NULL,
+         medical_history=NULL, allergies=NULL, conditions=NULL, id_type='national_id', id_number=NULL,
+         id_proof=NULL, user_id=NULL
+       WHERE id IN (?)`,
+      [pids]
+    );
+    await conn.query("UPDATE contraindication_overrides SET terms='[deleted]', reason='[deleted]' WHERE patient_id IN (?)", [pids]);
+    await conn.query(
+      "UPDATE patient_merges SET snapshot='{}', reason=NULL WHERE survivor_id IN (?) OR merged_id IN (?)",
+      [historyIds, historyIds]
+    );
+    await conn.query("UPDATE appointments SET note=NULL WHERE patient_id IN (?)", [pids]);
+    // the history holds the same personal data
+    await conn.query("UPDATE vaccination_records SET patient_version_id=NULL WHERE patient_id IN (?)", [pids]);
+    await conn.query("DELETE FROM patient_versions WHERE patient_id IN (?)", [historyIds]);
+    // keep that consent was given, not who signed or how
+    await conn.query(
+      "UPDATE consents SET signer_name='[deleted]', signature=NULL, ip=NULL, user_agent=NULL WHERE patient_id IN (?)",
+      [pids]
+    );
+  }
+  // drop the import report rows that were matched to these patients
+  const [matches] = historyIds.length
+    ? await conn.query("SELECT import_id, line FROM patient_import_matches WHERE patient_id IN (?)", [historyIds])
+    : [[]];
+  for (const importId of new Set(matches.map((m) => m.import_id))) {
+    const lines = matches.filter((m) => m.import_id === importId).map((m) => String(m.line));
+    const [[imp]] = await conn.query("SELECT report FROM patient_imports WHERE id=?", [importId]);
+    if (!imp || !imp.report) continue;
+    const [header, ...rows] = parseCsv(imp.report);
+    const kept = rows.filter((r) => !lines.includes(r[0]));
+    await conn.query("UPDATE patient_imports SET report=? WHERE id=?", [
+      kept.length ? [header, ...kept].map(csvLine).join("\r\n") : null,
+      importId,
+    ]);
+  }
+  if (historyIds.length) await conn.query("DELETE FROM patient_import_matches WHERE patient_id IN (?)", [historyIds]);
+  const phones = pats.map((p) => normalizePhone(p.phone)).filter(Boolean);
+  await conn.query(`DELETE FROM phone_otps WHERE user_id=?${phones.length ? " OR phone IN (?)" : ""}`, [
+    userId,
+    ...(phones.length ? [phones] : []),
+  ]);
+
+  await conn.query("DELETE FROM patient_guardians WHERE user_id=?", [userId]);
+  await conn.query("UPDATE feedback SET message='[deleted]', attachment_path=NULL WHERE user_id=?", [userId]);
+  await conn.query("DELETE FROM notifications WHERE user_id=?", [userId]);
+  await conn.query("DELETE FROM password_resets WHERE user_id=?", [userId]);
+  await conn.query("DELETE FROM email_verifications WHERE user_id=?", [userId]);
+  await conn.query("DELETE FROM totp_recovery_codes WHERE user_id=?", [userId]);
+  await conn.query("UPDATE login_attempts SET email=NULL, ip=NULL WHERE user_id=?", [userId]);
+  await conn.query("UPDATE sessions SET revoked_at=COALESCE(revoked_at, NOW()), user_agent=NULL, ip=NULL WHERE user_id=?", [userId]);
+  await conn.query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=? AND revoked_at IS NULL", [userId]);
+  await conn.query(
+    `UPDATE users SET name='Deleted user', email=CONCAT('deleted-', id, '@invalid'), password=?, is_active=0,
+       token_version=token_version+1, totp_secret=NULL, totp_pending_secret=NULL, totp_enabled_at=NULL
+     WHERE id=?`,
+    [crypto.randomBytes(32).toString("hex"), userId]
+  );
+  return files;
+}
+
+app.post("/api/deletion-requests/:id/approve", auth, requirePermission("privacy:manage"), async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const [rows] = await conn.query("SELECT * FROM deletion_requests WHERE id=? AND status='pending'", [req.params.id]);
+    if (!rows.length) { conn.release(); return res.json({ success: false, msg: "No pending request with that id" }); }
+
+    await conn.beginTransaction();
+    const files = await anonymizeUser(conn, rows[0].user_id);
+    await conn.query(
+      "UPDATE deletion_requests SET status='completed', reviewed_by=?, review_note=?, reviewed_at=NOW() WHERE id=?",
+      [req.user.id, req.body.note || null, rows[0].id]
+    );
+    await conn.commit();
+    conn.release();
+
+    // only once the database changes are committed
+    for (const f of files) fs.promises.unlink(f).catch((err) => console.error("UNLINK ERR:", err));
+    return res.json({ success: true });
+  } catch (err) {
+    await conn.rollback();
+    conn.release();
+    return sendErr(res, err);
+  }
+});
+
+app.post("/api/deletion-requests/:id/reject", auth, requirePermission("privacy:manage"), async (req, res) => {
+  try {
+    const { note } = req.body;
+    if (!note) return res.json({ success: false, msg: "Please give a reason" });
+
+    const rows = await query("SELECT * FROM deletion_requests WHERE id=? AND status='pending'", [req.params.id]);
+    if (!rows.length) return res.json({ success: false, msg: "No pending request with that id" });
+
+    await query("UPDATE deletion_requests SET status='rejected', reviewed_by=?, review_note=?, reviewed_at=NOW() WHERE id=?", [
+      req.user.id,
+      note,
+      rows[0].id,
+    ]);
+    await query("INSERT INTO notifications (user_id,title,message) VALUES (?,?,?)", [
+      rows[0].user_id,
+      "Account deletion request",
+      "Your deletion request was not approved: " + note,
+    ]);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendErr(res, err);
+  }
+});
+
 // ======================================================
 // START
 // ======================================================
-app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+// `node server.js` prepares storage, connects and listens; the tests require()
+// it and start `app` against a stand-in pool
+if (require.main === module) {
+  prepareStorage();
+  initDb();
+  dummyPasswordHash(); // hashed up front so the first unknown email isn't slower
+  app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+}
+
+module.exports = {
+  app,
+  initDb,
+  refreshTokenState,
+  base32Encode,
+  base32Decode,
+  totpCode,
+  verifyTotp,
+  consentInputError,
+  signatureImage,
+  parseCsv,
+  importColumns,
+  verhoeffCheck,
+  isValidHealthId,
+  normalizeHealthId,
+  formatHealthId,
+};
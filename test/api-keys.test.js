@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { db, roles, login, request } = require("./helpers/app");
+
+roles.integrations = ["api_keys:manage", "staff:read"];
+
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+const KEY = "vms_0a1b2c3d_secret";
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT \* FROM api_keys WHERE key_hash=\?/, ([hash]) =>
+    hash === sha256(KEY) ? [{ id: 3, name: "Lab", scopes: '["staff:read"]' }] : []
+  ).on(/INSERT INTO api_keys/, () => ({ affectedRows: 1, insertId: 4 }));
+});
+
+const manager = () => login({ id: 45, role: "integrations" });
+
+test("POST /api/api-keys returns the key once and stores only its hash", async () => {
+  const res = await request("POST", "/api/api-keys", { token: manager(), body: { name: "Lab", scopes: ["staff:read"], expires_in_days: 30 } });
+  assert.strictEqual(res.body.success, true);
+  assert.match(res.body.key, /^vms_[0-9a-f]{8}_/);
+  const [insert] = db.ran(/INSERT INTO api_keys/);
+  assert.match(insert.sql, /DATE_ADD\(NOW\(\), INTERVAL \? DAY\)/);
+  assert.deepStrictEqual(insert.params.slice(2), [sha256(res.body.key), '["staff:read"]', 45, 30]);
+});
+
+test("POST /api/api-keys refuses scopes the issuer doesn't hold", async () => {
+  const res = await request("POST", "/api/api-keys", { token: manager(), body: { name: "Lab", scopes: ["records:edit"] } });
+  assert.deepStrictEqual(res.body, { success: false, msg: "You don't have: records:edit" });
+  assert.strictEqual(db.ran(/INSERT INTO api_keys/).length, 0);
+});
+
+test("an API key is limited to its scopes", async () => {
+  const allowed = await request("GET", "/api/staff", { headers: { "X-API-Key": KEY } });
+  assert.strictEqual(allowed.status, 200);
+  const bearer = await request("GET", "/api/staff", { headers: { Authorization: "Bearer " + KEY } });
+  assert.strictEqual(bearer.status, 200);
+  const denied = await request("GET", "/api/feedback", { headers: { "X-API-Key": KEY } });
+  assert.strictEqual(denied.status, 403);
+});
+
+test("an unknown, revoked or expired API key is refused", async () => {
+  const res = await request("GET", "/api/staff", { headers: { "X-API-Key": "vms_0a1b2c3d_other" } });
+  assert.strictEqual(res.status, 401);
+  assert.match(db.ran(/FROM api_keys WHERE key_hash=\?/)[0].sql, /revoked_at IS NULL AND \(expires_at IS NULL OR expires_at > NOW\(\)\)/);
+});
+
+test("an API key can't mint API keys", async () => {
+  db.on(/SELECT \* FROM api_keys WHERE key_hash=\?/, () => [{ id: 3, name: "Lab", scopes: '["api_keys:manage","staff:read"]' }]);
+  const res = await request("POST", "/api/api-keys", { headers: { "X-API-Key": KEY }, body: { name: "Next", scopes: ["staff:read"] } });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(db.ran(/INSERT INTO api_keys/).length, 0);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+const vaccinator = (centers) => login({ id: 70 + (centers[0] || 0), role: "vaccinator", centers });
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT \* FROM appointments WHERE id=\?/, ([id]) => [{ id: Number(id), patient_id: 7, vaccine_id: 2, center_id: 10, status: "approved" }]);
+});
+
+test("GET /api/appointments only lists the caller's centers", async () => {
+  await request("GET", "/api/appointments", { token: vaccinator([10, 11]) });
+  const [list] = db.ran(/FROM appointments a/);
+  assert.match(list.sql, /WHERE a\.center_id IN \(\?\)/);
+  assert.deepStrictEqual(list.params, [[10, 11]]);
+});
+
+test("GET /api/appointments lists nothing for staff without a center", async () => {
+  await request("GET", "/api/appointments", { token: vaccinator([]) });
+  assert.match(db.ran(/FROM appointments a/)[0].sql, /WHERE 1=0/);
+});
+
+test("GET /api/vaccination-records lists every center for centers:all", async () => {
+  await request("GET", "/api/vaccination-records", { token: login({ id: 80, role: "auditor" }) });
+  const [list] = db.ran(/FROM vaccination_records r/);
+  assert.match(list.sql, /WHERE 1=1/);
+  assert.strictEqual(db.ran(/FROM user_centers/).length, 0);
+});
+
+test("GET /api/feedback only lists the caller's centers", async () => {
+  await request("GET", "/api/feedback", { token: vaccinator([11]) });
+  const [list] = db.ran(/FROM feedback f/);
+  assert.match(list.sql, /WHERE f\.center_id IN \(\?\)/);
+  assert.deepStrictEqual(list.params, [[11]]);
+});
+
+test("POST /api/appointments/:id/complete refuses an appointment at another center", async () => {
+  const res = await request("POST", "/api/appointments/4/complete", { token: vaccinator([11]), body: {} });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.msg, "Appointment belongs to another center");
+  assert.strictEqual(db.ran(/INSERT INTO vaccination_records/).length, 0);
+});
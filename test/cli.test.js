@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const bcrypt = require("bcryptjs");
+const { db } = require("./helpers/app");
+const { commands, parseArgs } = require("../cli");
+
+// runs a command with console.log captured
+async function run(cmd, opts) {
+  const out = [];
+  const log = console.log;
+  console.log = (line) => out.push(String(line));
+  try {
+    await commands[cmd](opts);
+  } finally {
+    console.log = log;
+  }
+  return out;
+}
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT \* FROM users WHERE email=\?/, ([email]) => (email === "ana@example.com" ? [{ id: 5, email, role: "patient" }] : []))
+    .on(/SELECT name FROM roles WHERE name=\?/, ([name]) => (name === "center_manager" ? [{ name }] : []))
+    .on(/INSERT INTO users/, () => ({ affectedRows: 1, insertId: 9 }));
+});
+
+test("parseArgs reads --key value pairs", () => {
+  assert.deepStrictEqual(parseArgs(["--email", "a@b.c", "--role", "admin"]), { email: "a@b.c", role: "admin" });
+  assert.throws(() => parseArgs(["--email"]), /Missing value for --email/);
+  assert.throws(() => parseArgs(["admin"]), /Unexpected argument "admin"/);
+});
+
+test("create-admin stores a hashed password and a verified email", async () => {
+  const out = await run("create-admin", { name: "Jane", email: "jane@example.com" });
+  const [insert] = db.ran(/INSERT INTO users/);
+  assert.strictEqual(insert.params[3], "admin");
+  const password = out.find((l) => l.startsWith("Password: ")).slice("Password: ".length);
+  assert.ok(await bcrypt.compare(password, insert.params[2]));
+  assert.deepStrictEqual(db.ran(/UPDATE users SET email_verified_at=NOW\(\)/)[0].params, [9]);
+});
+
+test("create-admin refuses an email that is taken", async () => {
+  db.on(/SELECT id FROM users WHERE email=\?/, () => [{ id: 5 }]);
+  await assert.rejects(run("create-admin", { name: "Ana", email: "ana@example.com" }), /Email already exists/);
+});
+
+test("reset-password unlocks the account and ends its logins", async () => {
+  await run("reset-password", { email: "ana@example.com", password: "new-secret" });
+  assert.deepStrictEqual(db.ran(/UPDATE users SET failed_logins=0, locked_until=NULL/)[0].params, [5]);
+  assert.strictEqual(db.ran(/UPDATE users SET token_version = token_version \+ 1/).length, 1);
+  assert.strictEqual(db.ran(/UPDATE sessions SET revoked_at=NOW\(\) WHERE user_id=\?/).length, 1);
+});
+
+test("set-role only accepts known roles", async () => {
+  await assert.rejects(run("set-role", { email: "ana@example.com", role: "wizard" }), /Unknown role "wizard"/);
+  const out = await run("set-role", { email: "ana@example.com", role: "center_manager" });
+  assert.deepStrictEqual(out, ["ana@example.com: patient -> center_manager"]);
+  assert.deepStrictEqual(db.ran(/UPDATE users SET role=\?/)[0].params, ["center_manager", 5]);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+const { consentInputError, signatureImage } = require("../server");
+
+const form = { id: 7 };
+const png = Buffer.concat([Buffer.from("89504e470d0a1a0a0000000d49484452", "hex"), Buffer.alloc(24)]);
+const drawn = "data:image/png;base64," + png.toString("base64");
+
+test("consentInputError accepts typed and drawn signatures", () => {
+  assert.strictEqual(
+    consentInputError(form, { form_id: 7, signer_name: "Ana", signature_type: "typed", signature: "Ana" }),
+    null
+  );
+  assert.strictEqual(
+    consentInputError(form, { form_id: "7", signer_name: "Ana", signature_type: "drawn", signature: drawn }),
+    null
+  );
+});
+
+test("consentInputError requires the current form and a signer", () => {
+  assert.match(consentInputError(form, null), /missing/);
+  assert.match(consentInputError(form, { form_id: 6, signer_name: "Ana" }), /changed/);
+  assert.match(consentInputError(form, { form_id: 7, signer_name: " " }), /Signer name/);
+  assert.match(consentInputError(form, { form_id: 7, signer_name: "Ana", signature_type: "x" }), /typed or drawn/);
+});
+
+test("consentInputError rejects drawn signatures that are not PNG data", () => {
+  const notPng = "data:image/png;base64," + Buffer.from("<svg></svg>").toString("base64");
+  const input = { form_id: 7, signer_name: "Ana", signature_type: "drawn" };
+  assert.match(consentInputError(form, { ...input, signature: notPng }), /Invalid drawn signature/);
+  assert.match(consentInputError(form, { ...input, signature: "data:image/jpeg;base64,AAAA" }), /Invalid drawn signature/);
+});
+
+test("signatureImage returns the PNG bytes", () => {
+  assert.deepStrictEqual(signatureImage(drawn), png);
+  assert.strictEqual(signatureImage("data:image/png;base64,!!!"), null);
+});
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT \* FROM appointments WHERE id=\?/, () => [{ id: 5, patient_id: 7, vaccine_id: 2, center_id: 10, status: "booked" }])
+    .on(/SELECT id, dob FROM patients WHERE id=\?/, () => [{ id: 7, dob: "1990-01-01" }])
+    .on(/SELECT id, name, min_age_days, max_age_days FROM vaccines WHERE id=\?/, () => [{ id: 2, name: "Flu", min_age_days: 0, max_age_days: null }])
+    // version 2 of the form is in force
+    .on(/FROM consent_forms WHERE is_active=1/, () => [{ id: 9, version: 2, vaccine_id: 2 }])
+    .on(/FROM inventory WHERE vaccine_id=\?/, () => [{ id: 1, quantity: 5 }]);
+});
+
+const complete = () =>
+  request("POST", "/api/appointments/5/complete", { token: login({ id: 80, role: "vaccinator", centers: [10] }), body: {} });
+
+test("POST /api/appointments/:id/complete refuses consent signed on an earlier form version", async () => {
+  db.on(/FROM consents c JOIN consent_forms f ON f.id = c.form_id\s+WHERE c.appointment_id=\?/, () => [{ id: 3, form_id: 8, form_version: 1 }]);
+  const res = await complete();
+  assert.strictEqual(res.body.success, false);
+  assert.strictEqual(res.body.code, "CONSENT_REQUIRED");
+  assert.strictEqual(db.ran(/INSERT INTO vaccination_records/).length, 0);
+});
+
+test("POST /api/appointments/:id/complete records the dose with consent on the current form", async () => {
+  db.on(/FROM consents c JOIN consent_forms f ON f.id = c.form_id\s+WHERE c.appointment_id=\?/, () => [{ id: 3, form_id: 9, form_version: 2 }]);
+  const res = await complete();
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(db.ran(/INSERT INTO vaccination_records/)[0].params[8], 3);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, roles, login, request } = require("./helpers/app");
+
+roles.clinician = ["patients:read", "contraindications:override"];
+
+test.beforeEach(() => {
+  db.reset();
+  // patient 7 has appointments at center 10; override 3 belongs to patient 7
+  db.on(/FROM appointments WHERE patient_id=\? AND center_id IN \(\?\)/, ([, scope]) => (scope.includes(10) ? [{ id: 1 }] : []))
+    .on(/SELECT patient_id FROM contraindication_overrides WHERE id=\?/, ([id]) => (Number(id) === 3 ? [{ patient_id: 7 }] : []))
+    .on(/SELECT allergies, conditions FROM patients WHERE id=\?/, () => [{ allergies: '["egg"]', conditions: null }])
+    .on(/SELECT contraindications FROM vaccines WHERE id=\?/, () => [{ contraindications: '[{"term":"egg","action":"block"}]' }]);
+});
+
+const clinician = (centers) => login({ id: 60 + centers[0], role: "clinician", centers });
+
+test("POST /api/patients/:id/contraindication-overrides is limited to the caller's centers", async () => {
+  const body = { vaccine_id: 2, reason: "Observed for 30 minutes" };
+  const other = await request("POST", "/api/patients/7/contraindication-overrides", { token: clinician([20]), body });
+  assert.strictEqual(other.status, 404);
+  assert.strictEqual(db.ran(/INSERT INTO contraindication_overrides/).length, 0);
+
+  const own = await request("POST", "/api/patients/7/contraindication-overrides", { token: clinician([10]), body });
+  assert.strictEqual(own.body.success, true);
+  assert.deepStrictEqual(db.ran(/INSERT INTO contraindication_overrides/)[0].params.slice(0, 3), ["7", 2, "egg"]);
+});
+
+test("DELETE /api/contraindication-overrides/:id is limited to the caller's centers", async () => {
+  const other = await request("DELETE", "/api/contraindication-overrides/3", { token: clinician([20]) });
+  assert.strictEqual(other.status, 404);
+  assert.strictEqual(db.ran(/DELETE FROM contraindication_overrides/).length, 0);
+
+  const own = await request("DELETE", "/api/contraindication-overrides/3", { token: clinician([10]) });
+  assert.strictEqual(own.body.success, true);
+  assert.deepStrictEqual(db.ran(/DELETE FROM contraindication_overrides/)[0].params, ["3"]);
+});
+
+test("GET /api/contraindications/check reports blocking terms for staff of the patient's center", async () => {
+  const res = await request("GET", "/api/contraindications/check?patient_id=7&vaccine_id=2", { token: clinician([10]) });
+  assert.deepStrictEqual(res.body.block, ["egg"]);
+  const other = await request("GET", "/api/contraindications/check?patient_id=7&vaccine_id=2", { token: clinician([20]) });
+  assert.strictEqual(other.status, 403);
+});
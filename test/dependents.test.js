@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+// user 5 owns patient 12 and is guardian of patient 13
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT id FROM patients WHERE user_id=\?/, ([uid]) => (uid === 5 ? [{ id: 12 }] : []))
+    .on(/UNION SELECT patient_id AS id FROM patient_guardians WHERE user_id=\?/, ([uid]) => (uid === 5 ? [{ id: 12 }, { id: 13 }] : []))
+    .on(/SELECT \* FROM patient_guardians WHERE patient_id=\? AND user_id=\?/, ([pid, uid]) =>
+      Number(pid) === 13 && uid === 5 ? [{ patient_id: 13, user_id: 5 }] : []
+    )
+    .on(/SELECT id, dob FROM patients WHERE id=\?/, ([id]) => [{ id, dob: null }])
+    .on(/SELECT id, name, min_age_days, max_age_days FROM vaccines WHERE id=\?/, ([id]) => [{ id, name: "MMR", min_age_days: null, max_age_days: null }])
+    .on(/FROM inventory WHERE vaccine_id=\?/, () => [{ qty: 0 }]);
+});
+
+const guardian = () => login({ id: 5 });
+const book = (patient_id) =>
+  request("POST", "/api/appointments", { token: guardian(), body: { patient_id, vaccine_id: 2, center_id: 10, appointment_date: "2030-05-01" } });
+
+test("POST /api/appointments books for a dependent but not for other patients", async () => {
+  assert.deepStrictEqual((await book(14)).body, { success: false, msg: "Invalid patient record" });
+  // past the guardian check, stopped by the stock check
+  assert.deepStrictEqual((await book(13)).body, { success: false, msg: "Vaccine out of stock" });
+});
+
+test("GET /api/appointments?patient_id= covers one dependent, all of them, or nothing", async () => {
+  await request("GET", "/api/appointments?patient_id=13", { token: guardian() });
+  await request("GET", "/api/appointments?patient_id=all", { token: guardian() });
+  const none = await request("GET", "/api/appointments?patient_id=14", { token: guardian() });
+  assert.deepStrictEqual(none.body, []);
+  assert.deepStrictEqual(db.ran(/FROM appointments a/).map((q) => q.params), [[[13]], [[12, 13]]]);
+});
+
+test("POST /api/dependents links a new profile to the guardian", async () => {
+  db.on(/INSERT INTO patients/, () => ({ affectedRows: 1, insertId: 15 }));
+  const res = await request("POST", "/api/dependents", { token: guardian(), body: { name: "Mia", dob: "2022-03-04", relationship: "daughter" } });
+  assert.deepStrictEqual(res.body, { success: true, id: 15 });
+  assert.match(db.ran(/INSERT INTO patients/)[0].sql, /VALUES\(NULL,/);
+  assert.deepStrictEqual(db.ran(/INSERT INTO patient_guardians/)[0].params, [15, 5, "daughter"]);
+});
+
+test("POST /api/dependents is for patient accounts only", async () => {
+  const res = await request("POST", "/api/dependents", { token: login({ id: 30, role: "vaccinator" }), body: { name: "Mia" } });
+  assert.strictEqual(res.status, 403);
+});
+
+test("PUT /api/dependents/:id only edits the guardian's own dependents", async () => {
+  const res = await request("PUT", "/api/dependents/14", { token: guardian(), body: { name: "Someone" } });
+  assert.deepStrictEqual(res.body, { success: false, msg: "Dependent not found" });
+  assert.strictEqual(db.ran(/UPDATE patients SET/).length, 0);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+test.beforeEach(() => db.reset());
+
+const patients = [
+  { id: 1, name: "Ana Diaz", dob: "2015-03-09", phone: "+919876543210", id_type: "national_id", id_number: null },
+  { id: 2, name: "Ana Díaz", dob: "2015-03-09", phone: "+91 98765 43210", id_type: "national_id", id_number: null },
+  { id: 3, name: "Ben Roy", dob: "2015-03-09", phone: null, id_type: "national_id", id_number: null },
+  { id: 4, name: "Cara Lee", dob: "2001-01-01", phone: null, id_type: "national_id", id_number: null },
+];
+// answers the per-key grouping query from the fixtures
+function answerGroups(rows = patients) {
+  db.on(/SELECT p\.id, (.+) AS k FROM patients p/, (params, sql) => {
+    const key = /p\.dob AS k/.test(sql) ? (p) => p.dob : /p\.id_number AS k/.test(sql) ? (p) => p.id_number : (p) => p.phone && p.phone.replace(/\s/g, "");
+    const only = params.length ? key(rows.find((p) => p.id === params[0])) : null;
+    const shared = rows.filter((p) => key(p) && (!params.length || key(p) === only));
+    return shared.filter((p) => shared.filter((o) => key(o) === key(p)).length > 1).map((p) => ({ id: p.id, k: key(p) }));
+  }).on(/SELECT id,health_id,user_id,name,dob,gender,phone,id_type,id_number FROM patients WHERE id IN \(\?\)/, ([ids]) =>
+    rows.filter((p) => ids.includes(p.id))
+  );
+}
+
+test("GET /api/patients/duplicates scores pairs sharing a key, best first", async () => {
+  answerGroups();
+  const res = await request("GET", "/api/patients/duplicates", { token: login({ id: 1, role: "admin" }) });
+  assert.strictEqual(res.body.truncated, false);
+  assert.deepStrictEqual(res.body.pairs.map((p) => p.patients.map((x) => x.id)), [[1, 2]]);
+  assert.ok(res.body.pairs[0].reasons.includes("same phone"));
+  assert.ok(db.ran(/FROM patients/).every((q) => !/SOUNDEX|JOIN patients b ON b.id > a.id/.test(q.sql)));
+});
+
+test("GET /api/patients/duplicates?patient_id= only pairs that patient", async () => {
+  answerGroups();
+  const res = await request("GET", "/api/patients/duplicates?patient_id=3&min_score=0", { token: login({ id: 1, role: "admin" }) });
+  assert.deepStrictEqual(res.body.pairs.map((p) => p.patients.map((x) => x.id)).sort(), [[1, 3], [2, 3]]);
+});
+
+test("GET /api/patients/duplicates says when it stopped early", async () => {
+  // 201 patients born the same day: 20100 candidate pairs
+  const twins = Array.from({ length: 201 }, (_, i) => ({ id: i + 1, name: "Ana Diaz", dob: "2015-03-09", phone: null, id_number: null }));
+  answerGroups(twins);
+  const res = await request("GET", "/api/patients/duplicates", { token: login({ id: 1, role: "admin" }) });
+  assert.strictEqual(res.body.truncated, true);
+  assert.strictEqual(res.body.pairs.length, 200);
+});
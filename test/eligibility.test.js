@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+// west of UTC, where "2024-03-10" read as UTC is still March 9th
+process.env.TZ = "America/New_York";
+const { db, login, request } = require("./helpers/app");
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT id FROM patients WHERE user_id=\?/, () => [{ id: 7 }])
+    .on(/SELECT id, name, dob FROM patients WHERE id=\?/, () => [{ id: 7, name: "Ana", dob: "2006-03-10" }])
+    .on(/FROM vaccines ORDER BY name ASC/, () => [{ id: 2, name: "HPV", min_age_days: 6574, max_age_days: null }]);
+});
+
+test("GET /api/eligibility reads ?date= as a local calendar day", async () => {
+  const res = await request("GET", "/api/eligibility?date=2024-03-10", { token: login({ id: 5 }) });
+  assert.strictEqual(res.body.date, "2024-03-10");
+  assert.strictEqual(res.body.age, 18);
+  assert.strictEqual(res.body.vaccines[0].eligible, true);
+});
+
+test("GET /api/eligibility rejects dates that don't exist", async () => {
+  for (const date of ["2024-02-30", "10/03/2024", "2024-3-1"]) {
+    const res = await request("GET", "/api/eligibility?date=" + date, { token: login({ id: 5 }) });
+    assert.strictEqual(res.body.msg, "Invalid date", date);
+  }
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { db, login, request } = require("./helpers/app");
+
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT id FROM users WHERE email=\?/, () => [])
+    .on(/INSERT INTO patients/, () => ({ affectedRows: 1, insertId: 12 }));
+});
+
+test("POST /api/register creates an unverified account and stores a hashed link token", async () => {
+  let registered = false;
+  db.on(/INSERT INTO users/, () => {
+    registered = true;
+    return { affectedRows: 1, insertId: 9 };
+  }).on(/SELECT id FROM users WHERE email=\?/, () => (registered ? [{ id: 9 }] : []));
+
+  const mail = [];
+  const log = console.log;
+  console.log = (line) => mail.push(String(line));
+  let res;
+  try {
+    res = await request("POST", "/api/register", { body: { name: "Ana", email: "ana@example.com", password: "secret123" } });
+  } finally {
+    console.log = log;
+  }
+  assert.strictEqual(res.body.success, true);
+  assert.match(db.ran(/INSERT INTO users/)[0].sql, /email_verified_at\) VALUES\(\?,\?,\?,\?,NULL\)/);
+
+  const token = mail.join("\n").match(/\/api\/email\/verify\?token=([0-9a-f]+)/)[1];
+  const [stored] = db.ran(/INSERT INTO email_verifications/);
+  assert.deepStrictEqual(stored.params.slice(0, 2), [9, sha256(token)]);
+});
+
+test("POST /api/appointments is refused until the email is verified", async () => {
+  const res = await request("POST", "/api/appointments", { token: login({ id: 5, email_verified_at: null }), body: {} });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.msg, "Please verify your email address first");
+});
+
+test("GET /api/email/verify verifies the account once per link", async () => {
+  db.on(/UPDATE email_verifications SET used_at=NOW\(\) WHERE token_hash=\?/, ([hash]) => ({ affectedRows: hash === sha256("good") ? 1 : 0 }))
+    .on(/SELECT user_id FROM email_verifications WHERE token_hash=\?/, () => [{ user_id: 5 }]);
+
+  await request("GET", "/api/email/verify?token=used");
+  assert.strictEqual(db.ran(/UPDATE users SET email_verified_at=NOW\(\)/).length, 0);
+
+  await request("GET", "/api/email/verify?token=good");
+  assert.deepStrictEqual(db.ran(/UPDATE users SET email_verified_at=NOW\(\)/)[0].params, [5]);
+});
+
+test("POST /api/email/resend waits a minute between emails", async () => {
+  db.on(/SELECT id FROM email_verifications WHERE user_id=\? AND created_at/, () => [{ id: 1 }]);
+  const res = await request("POST", "/api/email/resend", { token: login({ id: 6, email_verified_at: null }) });
+  assert.deepStrictEqual(res.body, { success: false, msg: "Please wait a minute before requesting another email" });
+  assert.strictEqual(db.ran(/INSERT INTO email_verifications/).length, 0);
+});
+
+test("POST /api/users/:id/verify-email lets an admin verify the account", async () => {
+  db.on(/UPDATE users SET email_verified_at=NOW\(\) WHERE id=\?/, () => ({ affectedRows: 1 }));
+  const denied = await request("POST", "/api/users/6/verify-email", { token: login({ id: 7, role: "vaccinator" }) });
+  assert.strictEqual(denied.status, 403);
+
+  const res = await request("POST", "/api/users/6/verify-email", { token: login({ id: 1, role: "admin" }) });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(db.ran(/UPDATE email_verifications SET used_at=NOW\(\) WHERE user_id=\?/)[0].params, ["6"]);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+const { verhoeffCheck, isValidHealthId, normalizeHealthId, formatHealthId } = require("../server");
+
+test("verhoeffCheck matches the published example", () => {
+  assert.strictEqual(verhoeffCheck("236"), "3");
+  assert.strictEqual(verhoeffCheck("12345"), "1");
+});
+
+test("isValidHealthId accepts generated IDs", () => {
+  for (const body of ["10000000000", "23456789012", "98765432109"]) {
+    assert.ok(isValidHealthId(body + verhoeffCheck(body)), body);
+  }
+});
+
+test("isValidHealthId rejects single-digit errors and adjacent swaps", () => {
+  const id = "23456789012" + verhoeffCheck("23456789012");
+  for (let i = 0; i < id.length; i++) {
+    const wrong = id.slice(0, i) + ((Number(id[i]) + 1) % 10) + id.slice(i + 1);
+    assert.ok(!isValidHealthId(wrong), `digit ${i}`);
+  }
+  for (let i = 0; i < id.length - 1; i++) {
+    if (id[i] === id[i + 1]) continue;
+    const swapped = id.slice(0, i) + id[i + 1] + id[i] + id.slice(i + 2);
+    assert.ok(!isValidHealthId(swapped), `swap ${i}`);
+  }
+});
+
+test("isValidHealthId needs exactly 12 digits", () => {
+  assert.ok(!isValidHealthId("1234"));
+  assert.ok(!isValidHealthId("12345678901a"));
+  assert.ok(!isValidHealthId(""));
+});
+
+test("normalizeHealthId strips separators and formatHealthId adds them", () => {
+  const id = "23456789012" + verhoeffCheck("23456789012");
+  assert.strictEqual(normalizeHealthId(formatHealthId(id)), id);
+  assert.strictEqual(normalizeHealthId("2345 6789 0124"), id);
+  assert.strictEqual(normalizeHealthId("2345-6789-0125"), null);
+  assert.strictEqual(formatHealthId(null), null);
+});
+
+test.beforeEach(() => db.reset());
+
+const patients = [
+  { id: 1, name: "Ana", id_type: "national_id", id_number: "X1" },
+  { id: 2, name: "Ben", id_type: "passport", id_number: "X1" },
+];
+function answerLookups() {
+  db.on(/FROM patients WHERE id_number=\?/, ([num]) => patients.filter((p) => p.id_number === num))
+    // patient 1 has an appointment at center 10, patient 2 at center 20
+    .on(/FROM appointments WHERE patient_id=\? AND center_id IN \(\?\)/, ([pid, scope]) =>
+      scope.includes(pid === 1 ? 10 : 20) ? [{ id: 1 }] : []
+    );
+}
+
+test("GET /api/patients/lookup only returns patients in the caller's centers", async () => {
+  answerLookups();
+  const token = login({ id: 40, role: "vaccinator", centers: [10] });
+  const res = await request("GET", "/api/patients/lookup?identifier=x1", { token });
+  assert.deepStrictEqual(res.body.map((p) => p.id), [1]);
+
+  const all = await request("GET", "/api/patients/lookup?identifier=x1", { token: login({ id: 41, role: "auditor" }) });
+  assert.deepStrictEqual(all.body.map((p) => p.id), [1, 2]);
+});
+
+test("GET /api/patients/lookup does not match internal patient ids", async () => {
+  answerLookups();
+  const res = await request("GET", "/api/patients/lookup?identifier=2", { token: login({ id: 41, role: "auditor" }) });
+  assert.deepStrictEqual(res.body, []);
+  assert.ok(db.ran(/FROM patients WHERE/).every((q) => !/\bid=\?/.test(q.sql)));
+});
+
+test("GET /api/checkin/lookup hides patients outside the caller's centers", async () => {
+  answerLookups();
+  db.on(/FROM patients WHERE id_type=\? AND id_number=\?/, ([type, num]) =>
+    patients.filter((p) => p.id_type === type && p.id_number === num)
+  );
+  const other = await request("GET", "/api/checkin/lookup?identifier=passport:x1", { token: login({ id: 42, role: "vaccinator", centers: [10] }) });
+  assert.strictEqual(other.body.success, false);
+
+  const own = await request("GET", "/api/checkin/lookup?identifier=passport:x1", { token: login({ id: 43, role: "vaccinator", centers: [20] }) });
+  assert.strictEqual(own.body.success, true);
+  assert.strictEqual(own.body.patient.id, 2);
+});
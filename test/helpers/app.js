@@ -0,0 +1,123 @@
+// Runs the app against an in-memory stand-in for the MySQL pool, so route
+// tests need no database. A test answers the statements it cares about with
+// db.on(pattern, (params, sql) => rows), the latest match winning; anything
+// else gets an empty result set (SELECT) or an OK packet, and db.log records
+// every statement that ran.
+const jwt = require("jsonwebtoken");
+const dbModule = require("../../db");
+
+const handlers = [];
+const log = [];
+
+async function run(sql, params = []) {
+  log.push({ sql, params });
+  for (const [pattern, fn] of handlers) if (pattern.test(sql)) return [await fn(params, sql), []];
+  return [/^\s*SELECT/i.test(sql) ? [] : { affectedRows: 0, insertId: 0 }, []];
+}
+
+const fakePool = {
+  query: run,
+  async getConnection() {
+    return {
+      query: run,
+      beginTransaction: async () => log.push({ sql: "BEGIN", params: [] }),
+      commit: async () => log.push({ sql: "COMMIT", params: [] }),
+      rollback: async () => log.push({ sql: "ROLLBACK", params: [] }),
+      release() {},
+    };
+  },
+};
+// server.js reads createPool when it is required
+dbModule.createPool = () => fakePool;
+
+const { app, initDb } = require("../../server");
+
+// role -> permissions served from role_permissions (the server caches these
+// per role, so a role's permissions stay fixed for the whole file)
+const roles = {
+  patient: [],
+  vaccinator: ["appointments:read", "appointments:complete", "records:read", "feedback:read", "patients:read"],
+  center_manager: ["appointments:read", "appointments:manage", "records:read", "patients:read", "staff:read"],
+  auditor: ["appointments:read", "records:read", "patients:read", "centers:all"],
+};
+const users = new Map();
+
+// answers every test gets, after its own handlers
+const base = [
+  [/information_schema/, () => [{ 1: 1 }]],
+  [/SELECT COUNT\(\*\) AS c FROM roles/, () => [{ c: 1 }]],
+  [/FROM users u LEFT JOIN roles r ON r.name = u.role WHERE u.id=\?/, ([id]) => (users.has(id) ? [{ ...users.get(id) }] : [])],
+  [/SELECT id FROM sessions WHERE id=\? AND user_id=\? AND revoked_at IS NULL/, ([sid]) => [{ id: sid }]],
+  [/SELECT permission FROM role_permissions WHERE role=\?/, ([role]) => (roles[role] || []).map((permission) => ({ permission }))],
+  [/SELECT center_id FROM user_centers WHERE user_id=\?/, ([id]) => (users.get(id)?.centers || []).map((center_id) => ({ center_id }))],
+  // no earlier failed logins
+  [/SELECT COUNT\(\*\) AS c, TIMESTAMPDIFF\(SECOND, MAX\(created_at\), NOW\(\)\) AS since\s+FROM login_attempts/, () => [{ c: 0, since: null }]],
+  [/SELECT failed_logins,/, () => [{ failed_logins: 0, locked_for: null, since: null }]],
+  [/SELECT COUNT\(\*\) AS c FROM login_attempts/, () => [{ c: 0 }]],
+];
+
+const db = {
+  log,
+  on(pattern, fn) {
+    handlers.unshift([pattern, fn]);
+    return db;
+  },
+  // statements matching pattern, in the order they ran
+  ran(pattern) {
+    return log.filter((q) => pattern.test(q.sql));
+  },
+  reset() {
+    handlers.splice(0, handlers.length, ...base);
+    log.length = 0;
+  },
+};
+db.reset();
+
+let baseUrl = null;
+async function start() {
+  if (baseUrl) return;
+  await initDb();
+  const server = app.listen(0);
+  server.unref();
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+// Registers the user for auth and returns their bearer token
+function login(user) {
+  const u = {
+    name: "User " + user.id,
+    email: `user${user.id}@example.com`,
+    role: "patient",
+    is_active: 1,
+    token_version: 0,
+    email_verified_at: new Date(),
+    totp_enabled_at: null,
+    is_staff: user.role && user.role !== "patient" && user.role !== "admin" ? 1 : 0,
+    ...user,
+  };
+  users.set(u.id, u);
+  return jwt.sign({ id: u.id, role: u.role, tv: u.token_version, sid: 1000 + u.id }, process.env.JWT_SECRET || "change_this_secret");
+}
+
+// { status, body } for a JSON (or text) response
+async function request(method, url, { token, body, headers = {} } = {}) {
+  await start();
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: "Bearer " + token } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {}
+  return { status: res.status, body: parsed, headers: res.headers };
+}
+
+module.exports = { db, roles, login, request };
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, roles, login, request } = require("./helpers/app");
+
+roles.id_reviewer = ["id_proofs:review"];
+
+const reviewer = () => login({ id: 90, role: "id_reviewer" });
+
+// patient 7 has an ID proof, is linked to account 5 and guardian 6
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT id FROM patients WHERE id=\? AND id_proof IS NOT NULL/, ([id]) => (Number(id) === 7 ? [{ id: 7 }] : []))
+    .on(/UNION SELECT user_id FROM patient_guardians WHERE patient_id=\?/, () => [{ user_id: 5 }, { user_id: 6 }]);
+});
+
+test("GET /api/id-proofs lists the pending queue by default", async () => {
+  await request("GET", "/api/id-proofs", { token: reviewer() });
+  await request("GET", "/api/id-proofs?status=rejected", { token: reviewer() });
+  assert.deepStrictEqual(db.ran(/WHERE p\.id_proof IS NOT NULL AND p\.id_proof_status=\?/).map((q) => q.params), [["pending"], ["rejected"]]);
+});
+
+test("POST /api/id-proofs/:patientId/verify records the reviewer and tells the family", async () => {
+  const res = await request("POST", "/api/id-proofs/7/verify", { token: reviewer() });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(db.ran(/SET id_proof_status='verified'/)[0].params, [90, 7]);
+  assert.deepStrictEqual(db.ran(/INSERT INTO notifications/).map((q) => q.params.slice(0, 2)), [
+    [5, "ID proof verified"],
+    [6, "ID proof verified"],
+  ]);
+});
+
+test("POST /api/id-proofs/:patientId/reject needs a reason and an uploaded proof", async () => {
+  const noReason = await request("POST", "/api/id-proofs/7/reject", { token: reviewer(), body: {} });
+  assert.deepStrictEqual(noReason.body, { success: false, msg: "Please give a reason" });
+  const noProof = await request("POST", "/api/id-proofs/8/reject", { token: reviewer(), body: { reason: "Blurry" } });
+  assert.deepStrictEqual(noProof.body, { success: false, msg: "No ID proof for this patient" });
+
+  const res = await request("POST", "/api/id-proofs/7/reject", { token: reviewer(), body: { reason: "Blurry" } });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(db.ran(/SET id_proof_status='rejected'/)[0].params, ["Blurry", 90, 7]);
+  assert.match(db.ran(/INSERT INTO notifications/)[0].params[2], /Blurry/);
+});
+
+test("the review routes need id_proofs:review", async () => {
+  const res = await request("POST", "/api/id-proofs/7/verify", { token: login({ id: 71, role: "vaccinator" }) });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(db.ran(/SET id_proof_status/).length, 0);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+const admin = () => login({ id: 1, role: "admin" });
+const session = { id: 8, admin_id: 1, user_id: 5, allow_write: 0, admin_active: 1, admin_role: "admin", admin_token_version: 0 };
+
+test.beforeEach(() => {
+  db.reset();
+  login({ id: 5 });
+  db.on(/SELECT id,name,email,role,is_active FROM users WHERE id=\?/, ([id]) =>
+    ({ 5: [{ id: 5, name: "Ana", email: "ana@example.com", role: "patient", is_active: 1 }], 2: [{ id: 2, role: "admin", is_active: 1 }] })[id] || []
+  )
+    .on(/INSERT INTO impersonations/, () => ({ affectedRows: 1, insertId: 8 }))
+    .on(/FROM impersonations i JOIN users a/, () => [{ ...session, expires_at: new Date(Date.now() + 600000) }]);
+});
+
+async function impersonate() {
+  const res = await request("POST", "/api/users/5/impersonate", { token: admin(), body: { reason: "Ticket 42" } });
+  assert.strictEqual(res.body.success, true);
+  return res.body.token;
+}
+
+test("POST /api/users/:id/impersonate needs a reason and a non-admin target", async () => {
+  const noReason = await request("POST", "/api/users/5/impersonate", { token: admin(), body: {} });
+  assert.deepStrictEqual(noReason.body, { success: false, msg: "Please give a reason" });
+  const otherAdmin = await request("POST", "/api/users/2/impersonate", { token: admin(), body: { reason: "x" } });
+  assert.strictEqual(otherAdmin.status, 403);
+  assert.strictEqual(db.ran(/INSERT INTO impersonations/).length, 0);
+});
+
+test("an impersonation token reads as the user and is logged", async () => {
+  const token = await impersonate();
+  const res = await request("GET", "/api/appointments", { token });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get("x-impersonation"), "8");
+  assert.strictEqual(res.headers.get("x-impersonated-by"), "1");
+  assert.deepStrictEqual(db.ran(/INSERT INTO impersonation_log/)[0].params, [8, "GET", "/api/appointments", 0]);
+});
+
+test("a read-only impersonation can't change data or reach account security", async () => {
+  const token = await impersonate();
+  const write = await request("POST", "/api/dependents", { token, body: { name: "Mia" } });
+  assert.strictEqual(write.status, 403);
+  assert.strictEqual(write.body.code, "IMPERSONATION_READ_ONLY");
+  // refused even for reads, whatever the case of the path
+  const sessions = await request("GET", "/API/Sessions", { token });
+  assert.strictEqual(sessions.status, 403);
+  assert.deepStrictEqual(db.ran(/INSERT INTO impersonation_log/).map((q) => q.params[3]), [1, 1]);
+  assert.strictEqual(db.ran(/INSERT INTO patients/).length, 0);
+});
+
+test("POST /api/impersonation/end works from a read-only impersonation", async () => {
+  const token = await impersonate();
+  const res = await request("POST", "/api/impersonation/end", { token });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(db.ran(/UPDATE impersonations SET ended_at=NOW\(\) WHERE id=\?/)[0].params, [8]);
+});
+
+test("an impersonation token stops working once the admin's tokens are revoked", async () => {
+  const token = await impersonate();
+  db.on(/FROM impersonations i JOIN users a/, () => [{ ...session, admin_token_version: 1, expires_at: new Date(Date.now() + 600000) }]);
+  const res = await request("GET", "/api/appointments", { token });
+  assert.strictEqual(res.status, 401);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, roles, login, request } = require("./helpers/app");
+const { parseCsv, importColumns } = require("../server");
+
+roles.registrar = ["patients:import"];
+
+test("parseCsv handles quotes, embedded commas and CRLF", () => {
+  const rows = parseCsv('Name,Phone\r\n"Doe, Jane","555 ""1"""\r\nBob,\r\n');
+  assert.deepStrictEqual(rows, [
+    ["Name", "Phone"],
+    ["Doe, Jane", '555 "1"'],
+    ["Bob", ""],
+  ]);
+});
+
+test("importColumns maps headers named like the fields", () => {
+  const { columns, error } = importColumns(["Name", "DOB", "ID Number"], {});
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(columns, { name: 0, dob: 1, id_number: 2 });
+});
+
+test("importColumns follows an explicit mapping", () => {
+  const { columns } = importColumns(["Full name", "Mobile"], { name: "Full name", phone: "Mobile" });
+  assert.deepStrictEqual(columns, { name: 0, phone: 1 });
+});
+
+test("importColumns reports missing columns", () => {
+  assert.match(importColumns(["Name"], { phone: "Mobile" }).error, /"Mobile" \(for phone\)/);
+  assert.match(importColumns(["Phone"], {}).error, /name/);
+});
+
+test.beforeEach(() => db.reset());
+
+const importCsv = (csv, extra = {}) =>
+  request("POST", "/api/patients/import", { token: login({ id: 70, role: "registrar" }), body: { csv, ...extra } });
+
+test("POST /api/patients/import flags rows matching existing patients or earlier rows", async () => {
+  db.on(/FROM patients\s+WHERE dob IN \(\?\)/, () => [
+    { id: 3, name: "Ana Diaz", dob: "2015-03-09", phone: "+919876543210", id_type: "national_id", id_number: null },
+  ]);
+  const csv = [
+    "name,dob,phone,id_number",
+    "Ana Díaz,09/03/2015,+91 98765 43210,",
+    "Ben Roy,2016-01-02,,P123",
+    "Roy Ben,2016-01-02,,P123",
+    "Cara Lee,2017-05-06,,",
+  ].join("\n");
+  const res = await importCsv(csv);
+  assert.deepStrictEqual(
+    res.body.rejected.map((r) => [r.line, r.errors]),
+    [
+      [2, ["looks like existing patient #3 (Ana Diaz)"]],
+      [4, ["duplicate of line 3"]],
+    ]
+  );
+  assert.strictEqual(res.body.valid, 2);
+  // so erasing patient #3 can drop line 2 from the report
+  assert.deepStrictEqual(db.ran(/INSERT INTO patient_import_matches/)[0].params, [[[0, 2, 3]]]);
+});
+
+test("POST /api/patients/import rejects a row whose ID number was registered meanwhile", async () => {
+  db.on(/INSERT INTO patients \(user_id,name/, (params) => {
+    if (params[6] === "P123") throw Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" });
+    return { insertId: 40, affectedRows: 1 };
+  });
+  const csv = "name,id_number\nBen Roy,P123\nCara Lee,\n";
+  const res = await importCsv(csv, { dry_run: "0" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.imported, 1);
+  assert.deepStrictEqual(res.body.rejected, [{ line: 2, errors: ["ID number P123 is already registered"] }]);
+  assert.ok(db.ran(/^COMMIT$/).length);
+
+  db.log.length = 0;
+  const strict = await importCsv(csv, { dry_run: "0", strict: "1" });
+  assert.strictEqual(strict.body.success, false);
+  assert.strictEqual(strict.body.imported, 0);
+  assert.ok(db.ran(/^ROLLBACK$/).length);
+});
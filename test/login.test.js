@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const bcrypt = require("bcryptjs");
+const { db, request } = require("./helpers/app");
+
+const hash = bcrypt.hashSync("right-password", 4);
+const ana = { id: 5, name: "Ana", email: "ana@example.com", role: "admin", password: hash, is_active: 1, token_version: 0, totp_enabled_at: null };
+
+// records which hashes the route compared against
+const compared = [];
+const compare = bcrypt.compare;
+bcrypt.compare = (plain, h) => {
+  compared.push(h);
+  return compare(plain, h);
+};
+
+test.beforeEach(() => {
+  db.reset();
+  compared.length = 0;
+  db.on(/SELECT \* FROM users WHERE email=\?/, ([email]) => (email === ana.email ? [{ ...ana }] : []))
+    .on(/INSERT INTO login_attempts/, () => ({ affectedRows: 1, insertId: 41 }))
+    .on(/INSERT INTO sessions/, () => ({ affectedRows: 1, insertId: 9 }));
+});
+
+const signIn = (email, password) => request("POST", "/api/login", { body: { email, password } });
+
+test("POST /api/login records the attempt before checking the password", async () => {
+  const res = await signIn(ana.email, "wrong");
+  assert.strictEqual(res.body.success, false);
+  const statements = db.log.map((q) => q.sql);
+  const pending = statements.findIndex((sql) => /INSERT INTO login_attempts .*'pending'/.test(sql));
+  const throttle = statements.findIndex((sql) => /SELECT failed_logins,/.test(sql));
+  assert.ok(pending >= 0 && pending < throttle);
+  // the throttle leaves out this attempt's own row
+  assert.deepStrictEqual(db.ran(/FROM login_attempts WHERE ip=\?/)[0].params.slice(1), [41]);
+  const [failed] = db.ran(/UPDATE login_attempts SET reason=\? WHERE id=\?/);
+  assert.deepStrictEqual(failed.params, ["bad_password", 41]);
+  assert.strictEqual(db.ran(/UPDATE users SET failed_logins = failed_logins \+ 1/).length, 1);
+});
+
+test("POST /api/login marks the pending attempt as the successful one", async () => {
+  const res = await signIn(ana.email, "right-password");
+  assert.strictEqual(res.body.success, true);
+  assert.ok(res.body.token);
+  const [done] = db.ran(/UPDATE login_attempts SET success=1, reason=NULL WHERE id=\?/);
+  assert.deepStrictEqual(done.params, [41]);
+  assert.strictEqual(db.ran(/INSERT INTO login_attempts .*VALUES\(\?,\?,\?,1\)/).length, 0);
+  assert.strictEqual(db.ran(/UPDATE users SET failed_logins=0, locked_until=NULL/).length, 1);
+});
+
+test("POST /api/login turns away a second attempt while one is pending", async () => {
+  db.on(/SELECT COUNT\(\*\) AS c FROM login_attempts/, () => [{ c: 1 }]);
+  const res = await signIn(ana.email, "right-password");
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(compared.length, 0);
+  assert.deepStrictEqual(db.ran(/DELETE FROM login_attempts WHERE id=\?/)[0].params, [41]);
+  assert.strictEqual(db.ran(/UPDATE users SET failed_logins = failed_logins \+ 1/).length, 0);
+});
+
+test("POST /api/login refuses a locked account without checking the password", async () => {
+  db.on(/SELECT failed_logins,/, () => [{ failed_logins: 0, locked_for: 300, since: 10 }]);
+  const res = await signIn(ana.email, "right-password");
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(res.body.retry_after, 300);
+  assert.strictEqual(res.headers.get("retry-after"), "300");
+  assert.strictEqual(compared.length, 0);
+  assert.strictEqual(db.ran(/DELETE FROM login_attempts WHERE id=\?/).length, 1);
+});
+
+test("POST /api/login locks the account once the failures reach the limit", async () => {
+  await signIn(ana.email, "wrong");
+  const [lock] = db.ran(/UPDATE users SET locked_until = DATE_ADD/);
+  assert.match(lock.sql, /failed_logins >= \?/);
+  assert.strictEqual(lock.params[1], ana.id);
+});
+
+test("POST /api/login compares against a dummy hash for unknown emails", async () => {
+  const res = await signIn("nobody@example.com", "whatever");
+  assert.strictEqual(res.body.msg, "Invalid credentials");
+  assert.strictEqual(compared.length, 1);
+  assert.match(compared[0], /^\$2[aby]\$/);
+  assert.deepStrictEqual(db.ran(/UPDATE login_attempts SET reason=\? WHERE id=\?/)[0].params, ["unknown_email", 41]);
+  assert.strictEqual(db.ran(/UPDATE users/).length, 0);
+});
+
+test("POST /api/login drops the pending attempt when a second factor is due", async () => {
+  db.on(/SELECT \* FROM users WHERE email=\?/, () => [{ ...ana, totp_enabled_at: new Date() }]);
+  const res = await signIn(ana.email, "right-password");
+  assert.strictEqual(res.body.mfa_required, true);
+  assert.strictEqual(db.ran(/DELETE FROM login_attempts WHERE id=\?/).length, 1);
+  assert.strictEqual(db.ran(/UPDATE login_attempts SET success=1/).length, 0);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+test.beforeEach(() => db.reset());
+
+const admin = () => login({ id: 1, role: "admin" });
+
+test("POST /api/patients/:id/merge appends the duplicate's versions to the survivor's history", async () => {
+  db.on(/SELECT \* FROM patients WHERE id IN \(\?\) FOR UPDATE/, () => [
+    { id: 20, name: "Ana Diaz", user_id: null, allergies: null, conditions: null },
+    { id: 10, name: "Ana Díaz", user_id: 5, allergies: null, conditions: null },
+  ])
+    .on(/SELECT COALESCE\(MAX\(version\), 0\) AS v FROM patient_versions WHERE patient_id=\?/, ([pid]) => [{ v: pid === 10 ? 3 : 2 }])
+    .on(/UPDATE patient_versions SET patient_id=\?/, () => ({ affectedRows: 2 }));
+  const res = await request("POST", "/api/patients/20/merge", { token: admin(), body: { survivor_id: 10 } });
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(res.body.moved.patient_versions, 2);
+
+  const [rekey] = db.ran(/UPDATE patient_versions SET patient_id=\?, version=version\+\? WHERE patient_id=\?/);
+  assert.deepStrictEqual(rekey.params, [10, 3, 20]);
+  assert.ok(db.log.indexOf(rekey) < db.log.findIndex((q) => q.sql === "COMMIT"));
+});
+
+test("anonymization also erases the history of patients merged into the user's profile", async () => {
+  db.on(/FROM deletion_requests WHERE id=\? AND status='pending'/, () => [{ id: 4, user_id: 9 }])
+    .on(/SELECT id FROM patients WHERE user_id=\?/, () => [{ id: 10 }])
+    // 20 was merged into 10, and 30 into 20 before that
+    .on(/SELECT merged_id FROM patient_merges WHERE survivor_id IN \(\?\)/, ([ids]) =>
+      ids.includes(10) ? [{ merged_id: 20 }] : ids.includes(20) ? [{ merged_id: 30 }] : []
+    );
+  const res = await request("POST", "/api/deletion-requests/4/approve", { token: admin(), body: {} });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(db.ran(/DELETE FROM patient_versions WHERE patient_id IN \(\?\)/)[0].params, [[10, 20, 30]]);
+  assert.deepStrictEqual(db.ran(/UPDATE patient_merges SET snapshot='\{\}'/)[0].params, [[10, 20, 30], [10, 20, 30]]);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, request } = require("./helpers/app");
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT id,name,email,is_active FROM users WHERE email=\?/, ([email]) =>
+    email === "ana@example.com" ? [{ id: 5, name: "Ana", email, is_active: 1 }] : []
+  ).on(/FROM password_reset_requests WHERE ip=\?/, () => [{ c: 0, since: null }]);
+});
+
+// the account is handled after the response; wait for it to settle
+const settled = () => new Promise((resolve) => setTimeout(resolve, 50));
+const forgot = (email) => request("POST", "/api/password/forgot", { body: { email } });
+
+test("POST /api/password/forgot answers before looking up the account", async () => {
+  let lookedUp = false;
+  db.on(/SELECT id,name,email,is_active FROM users WHERE email=\?/, () => {
+    lookedUp = true;
+    return new Promise(() => {});
+  });
+  const res = await forgot("ana@example.com");
+  assert.strictEqual(res.body.success, true);
+  await settled();
+  assert.ok(lookedUp);
+});
+
+test("POST /api/password/forgot mails a link to known accounts only", async () => {
+  assert.strictEqual((await forgot("nobody@example.com")).body.success, true);
+  await settled();
+  assert.strictEqual(db.ran(/INSERT INTO password_resets/).length, 0);
+
+  assert.strictEqual((await forgot("ana@example.com")).body.success, true);
+  await settled();
+  assert.strictEqual(db.ran(/INSERT INTO password_resets/)[0].params[0], 5);
+});
+
+test("POST /api/password/forgot sends at most one link a minute per account", async () => {
+  db.on(/SELECT id FROM password_resets WHERE user_id=\? AND created_at > DATE_SUB\(NOW\(\), INTERVAL 1 MINUTE\)/, () => [{ id: 1 }]);
+  const res = await forgot("ana@example.com");
+  assert.strictEqual(res.body.success, true);
+  await settled();
+  assert.strictEqual(db.ran(/INSERT INTO password_resets/).length, 0);
+});
+
+test("POST /api/password/forgot limits requests per address", async () => {
+  db.on(/FROM password_reset_requests WHERE ip=\?/, () => [{ c: 10, since: 600 }]);
+  const res = await forgot("nobody@example.com");
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(res.body.retry_after, 3000);
+  assert.strictEqual(db.ran(/INSERT INTO password_reset_requests/).length, 0);
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+const admin = () => login({ id: 1, role: "admin" });
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT COUNT\(\*\) AS total/, () => [{ total: 42 }])
+    .on(/SELECT p\.\*, u\.email, TIMESTAMPDIFF/, ([id]) => (Number(id) === 7 ? [{ id: 7, name: "Ana", allergies: '["egg"]', conditions: null }] : []));
+});
+
+test("GET /api/all-patients searches, filters and pages", async () => {
+  const res = await request("GET", "/api/all-patients?q=ana&gender=F&age_band=18-59&sort=age&order=desc&page=3&page_size=10", {
+    token: admin(),
+  });
+  assert.deepStrictEqual(res.body, { total: 42, page: 3, page_size: 10, patients: [] });
+  const [list] = db.ran(/SELECT p\.id, p\.health_id/);
+  assert.match(list.sql, /p\.name LIKE \?/);
+  assert.match(list.sql, /ORDER BY age DESC, p\.id ASC/);
+  assert.deepStrictEqual(list.params.slice(0, 3), ["%ana%", "%ana%", "%ana%"]);
+  assert.deepStrictEqual(list.params.slice(-5), ["F", 18, 59, 10, 20]);
+});
+
+test("GET /api/all-patients ignores unknown sort columns and caps the page size", async () => {
+  const res = await request("GET", "/api/all-patients?sort=password&page_size=1000", { token: admin() });
+  assert.strictEqual(res.body.page_size, 100);
+  assert.match(db.ran(/SELECT p\.id, p\.health_id/)[0].sql, /ORDER BY p\.name ASC/);
+});
+
+test("GET /api/all-patients rejects a malformed age band", async () => {
+  const res = await request("GET", "/api/all-patients?age_band=old", { token: admin() });
+  assert.deepStrictEqual(res.body, { success: false, msg: "age_band must look like 18-59 or 60+" });
+});
+
+test("GET /api/all-patients only covers patients seen at the caller's centers", async () => {
+  await request("GET", "/api/all-patients", { token: login({ id: 71, role: "vaccinator", centers: [10] }) });
+  const [count] = db.ran(/SELECT COUNT\(\*\) AS total/);
+  assert.match(count.sql, /p\.id IN \(SELECT patient_id FROM appointments WHERE center_id IN \(\?\)\)/);
+  assert.deepStrictEqual(count.params, [[10]]);
+
+  const none = await request("GET", "/api/all-patients", { token: login({ id: 72, role: "vaccinator", centers: [] }) });
+  assert.strictEqual(none.body.total, 0);
+});
+
+test("GET /api/all-patients/:id returns the profile with appointments and records", async () => {
+  const res = await request("GET", "/api/all-patients/7", { token: admin() });
+  assert.deepStrictEqual(Object.keys(res.body), ["profile", "guardians", "appointments", "records"]);
+  assert.deepStrictEqual(res.body.profile.allergies, ["egg"]);
+
+  const other = await request("GET", "/api/all-patients/7", { token: login({ id: 73, role: "vaccinator", centers: [20] }) });
+  assert.strictEqual(other.status, 404);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { db, login, request } = require("./helpers/app");
+
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+test.beforeEach(() => {
+  db.reset();
+  login({ id: 5 });
+  db.on(/SELECT \* FROM phone_otps WHERE phone=\?/, () => [{ id: 7, user_id: 5, code_hash: sha256("123456"), attempts: 2 }])
+    .on(/SELECT \* FROM users WHERE id=\?/, () => [{ id: 5, name: "Ana", email: "ana@example.com", role: "patient", is_active: 1 }])
+    .on(/UPDATE phone_otps SET attempts = attempts \+ 1/, () => ({ affectedRows: 1 }))
+    .on(/UPDATE phone_otps SET consumed_at=NOW\(\) WHERE id=\? AND consumed_at IS NULL$/, () => ({ affectedRows: 1 }));
+});
+
+const verify = (code) => request("POST", "/api/login/otp/verify", { body: { phone: "+91 98765 43210", code } });
+
+test("POST /api/login/otp/verify signs in with the right code and uses it up", async () => {
+  const res = await verify("123456");
+  assert.strictEqual(res.body.success, true);
+  assert.ok(res.body.token);
+  assert.strictEqual(db.ran(/UPDATE phone_otps SET consumed_at=NOW\(\) WHERE id=\? AND consumed_at IS NULL$/).length, 1);
+});
+
+test("POST /api/login/otp/verify counts the attempt before comparing the code", async () => {
+  // a parallel request already used the last attempt
+  db.on(/UPDATE phone_otps SET attempts = attempts \+ 1/, () => ({ affectedRows: 0 }));
+  const res = await verify("123456");
+  assert.strictEqual(res.body.success, false);
+  const [counted] = db.ran(/UPDATE phone_otps SET attempts = attempts \+ 1/);
+  assert.match(counted.sql, /attempts < \?/);
+  assert.strictEqual(db.ran(/INSERT INTO login_attempts .*VALUES\(\?,\?,\?,1\)/).length, 0);
+});
+
+test("POST /api/login/otp/verify lets only one of two requests with the right code in", async () => {
+  db.on(/UPDATE phone_otps SET consumed_at=NOW\(\) WHERE id=\? AND consumed_at IS NULL$/, () => ({ affectedRows: 0 }));
+  const res = await verify("123456");
+  assert.strictEqual(res.body.success, false);
+  assert.strictEqual(res.body.token, undefined);
+});
+
+test("POST /api/login/otp/verify uses up the code after the last wrong attempt", async () => {
+  const res = await verify("000000");
+  assert.strictEqual(res.body.success, false);
+  const [expire] = db.ran(/UPDATE phone_otps SET consumed_at=NOW\(\) WHERE id=\? AND consumed_at IS NULL AND attempts >= \?/);
+  assert.deepStrictEqual(expire.params, [7, 5]);
+  assert.strictEqual(db.ran(/INSERT INTO login_attempts/)[0].params[3], "bad_otp");
+});
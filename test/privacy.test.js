@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+test.beforeEach(() => db.reset());
+
+const report = [
+  "line,errors,name,dob",
+  "2,looks like existing patient #10 (Ana Diaz),Ana Díaz,2015-03-09",
+  '3,"invalid dob ""1/2""",Ben Roy,1/2',
+].join("\r\n");
+
+test("approving a deletion request drops only the import report rows matched to the user's patients", async () => {
+  db.on(/FROM deletion_requests WHERE id=\? AND status='pending'/, () => [{ id: 4, user_id: 9 }])
+    .on(/SELECT id FROM patients WHERE user_id=\?/, () => [{ id: 10 }])
+    .on(/SELECT import_id, line FROM patient_import_matches WHERE patient_id IN \(\?\)/, () => [{ import_id: 6, line: 2 }])
+    .on(/SELECT report FROM patient_imports WHERE id=\?/, () => [{ report }]);
+  const res = await request("POST", "/api/deletion-requests/4/approve", { token: login({ id: 1, role: "admin" }), body: {} });
+  assert.strictEqual(res.body.success, true);
+
+  const [update] = db.ran(/UPDATE patient_imports SET report=\? WHERE id=\?/);
+  assert.deepStrictEqual(update.params, ['line,errors,name,dob\r\n3,"invalid dob ""1/2""",Ben Roy,1/2', 6]);
+  assert.strictEqual(db.ran(/report LIKE/).length, 0);
+  assert.deepStrictEqual(db.ran(/DELETE FROM patient_import_matches WHERE patient_id IN \(\?\)/)[0].params, [[10]]);
+});
+
+test("approving a deletion request leaves import reports alone when none matched the user's patients", async () => {
+  db.on(/FROM deletion_requests WHERE id=\? AND status='pending'/, () => [{ id: 4, user_id: 9 }])
+    .on(/SELECT id FROM patients WHERE user_id=\?/, () => [{ id: 10 }]);
+  const res = await request("POST", "/api/deletion-requests/4/approve", { token: login({ id: 1, role: "admin" }), body: {} });
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(db.ran(/UPDATE patient_imports/).length, 0);
+});
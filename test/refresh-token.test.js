@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+const { refreshTokenState } = require("../server");
+
+const future = new Date(Date.now() + 86400000);
+const past = new Date(Date.now() - 1000);
+
+test("an unrevoked, unexpired token can be rotated", () => {
+  assert.strictEqual(refreshTokenState({ revoked_at: null, revoked_ago: null, expires_at: future }), "ok");
+});
+
+test("an expired token is refused without counting as reuse", () => {
+  assert.strictEqual(refreshTokenState({ revoked_at: null, revoked_ago: null, expires_at: past }), "expired");
+});
+
+test("a token rotated moments ago is a concurrent refresh, not reuse", () => {
+  assert.strictEqual(refreshTokenState({ revoked_at: new Date(), revoked_ago: 0, expires_at: future }), "grace");
+  assert.strictEqual(refreshTokenState({ revoked_at: new Date(), revoked_ago: 10, expires_at: future }), "grace");
+});
+
+test("presenting a token rotated earlier is reuse", () => {
+  assert.strictEqual(refreshTokenState({ revoked_at: past, revoked_ago: 11, expires_at: future }), "reused");
+  assert.strictEqual(refreshTokenState({ revoked_at: past, revoked_ago: 3600, expires_at: past }), "reused");
+});
+
+test.beforeEach(() => db.reset());
+
+test("POST /api/token/refresh revokes every session when a rotated token comes back", async () => {
+  db.on(/FROM refresh_tokens WHERE token_hash=\?/, () => [
+    { id: 3, user_id: 5, session_id: 9, revoked_at: past, revoked_ago: 3600, expires_at: future },
+  ]);
+  const res = await request("POST", "/api/token/refresh", { body: { refresh_token: "stolen" } });
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.msg, "Refresh token reused");
+  assert.deepStrictEqual(db.ran(/SET token_version = token_version \+ 1/)[0].params, [5]);
+});
+
+test("POST /api/token/refresh refuses a token whose session was ended", async () => {
+  db.on(/FROM refresh_tokens WHERE token_hash=\?/, () => [
+    { id: 3, user_id: 5, session_id: 9, revoked_at: null, revoked_ago: null, expires_at: future },
+  ])
+    .on(/UPDATE refresh_tokens SET revoked_at=NOW\(\) WHERE id=\? AND revoked_at IS NULL/, () => ({ affectedRows: 1 }))
+    .on(/SELECT \* FROM users WHERE id=\?/, () => [{ id: 5, is_active: 1, token_version: 0 }])
+    .on(/SELECT id FROM sessions WHERE id=\? AND revoked_at IS NULL/, () => []);
+  const res = await request("POST", "/api/token/refresh", { body: { refresh_token: "t" } });
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.msg, "Session ended");
+});
+
+test("an access token stops working once its session is revoked", async () => {
+  const token = login({ id: 5 });
+  db.on(/SELECT id FROM sessions WHERE id=\? AND user_id=\? AND revoked_at IS NULL/, () => []);
+  const res = await request("GET", "/api/sessions", { token });
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.msg, "Session ended");
+});
+
+test("POST /api/logout ends only the token's session", async () => {
+  db.on(/SELECT \* FROM refresh_tokens WHERE token_hash=\?/, () => [{ id: 3, user_id: 5, session_id: 9 }]);
+  const res = await request("POST", "/api/logout", { body: { refresh_token: "t" } });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(db.ran(/UPDATE sessions SET revoked_at=NOW\(\) WHERE id=\?/)[0].params, [9]);
+  assert.strictEqual(db.ran(/token_version = token_version \+ 1/).length, 0);
+});
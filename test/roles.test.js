@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, roles, login, request } = require("./helpers/app");
+
+roles.clerk = [];
+
+const admin = () => login({ id: 1, role: "admin" });
+const clerk = () => login({ id: 40, role: "clerk" });
+
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT \* FROM roles WHERE name=\?/, ([name]) => (name === "clerk" ? [{ name, description: null, is_staff: 1 }] : []));
+});
+
+test("requirePermission refuses a role without the permission", async () => {
+  const res = await request("GET", "/api/staff", { token: clerk() });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(db.ran(/SELECT id,name,email,role,is_active FROM users/).length, 0);
+});
+
+test("PUT /api/roles/:name takes effect for the role's users straight away", async () => {
+  assert.strictEqual((await request("GET", "/api/staff", { token: clerk() })).status, 403);
+
+  roles.clerk = ["staff:read"];
+  const res = await request("PUT", "/api/roles/clerk", { token: admin(), body: { permissions: ["staff:read"] } });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(db.ran(/INSERT INTO role_permissions/).map((q) => q.params), [["clerk", "staff:read"]]);
+
+  assert.strictEqual((await request("GET", "/api/staff", { token: clerk() })).status, 200);
+});
+
+test("PUT /api/roles/:name rejects unknown permissions and locked roles", async () => {
+  const unknown = await request("PUT", "/api/roles/clerk", { token: admin(), body: { permissions: ["staff:fly"] } });
+  assert.deepStrictEqual(unknown.body, { success: false, msg: "Unknown permission: staff:fly" });
+
+  const locked = await request("PUT", "/api/roles/admin", { token: admin(), body: { permissions: [] } });
+  assert.strictEqual(locked.body.success, false);
+  assert.strictEqual(db.ran(/role_permissions/).filter((q) => !/^SELECT/.test(q.sql)).length, 0);
+});
+
+test("the roles API needs roles:manage", async () => {
+  const res = await request("GET", "/api/roles", { token: login({ id: 50, role: "center_manager" }) });
+  assert.strictEqual(res.status, 403);
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+// user 5's token is for session 1005 (see helpers/app login)
+test.beforeEach(() => {
+  db.reset();
+  db.on(/SELECT id,user_agent,ip,created_at,last_seen_at,revoked_at FROM sessions WHERE user_id=\?/, () => [{ id: 1005 }, { id: 2 }])
+    .on(/SELECT id FROM sessions WHERE id=\? AND user_id=\?$/, ([id, uid]) => (Number(id) === 2 && uid === 5 ? [{ id: 2 }] : []))
+    .on(/SELECT id FROM sessions WHERE user_id=\? AND revoked_at IS NULL AND id<>\?/, ([, keep]) =>
+      [{ id: 1005 }, { id: 2 }].filter((s) => s.id !== keep)
+    );
+});
+
+test("GET /api/sessions flags the session the request came from", async () => {
+  const res = await request("GET", "/api/sessions", { token: login({ id: 5 }) });
+  assert.deepStrictEqual(res.body, [{ id: 1005, current: true }, { id: 2, current: false }]);
+});
+
+test("DELETE /api/sessions/:id only ends the caller's own sessions", async () => {
+  const other = await request("DELETE", "/api/sessions/3", { token: login({ id: 5 }) });
+  assert.deepStrictEqual(other.body, { success: false, msg: "Session not found" });
+
+  const own = await request("DELETE", "/api/sessions/2", { token: login({ id: 5 }) });
+  assert.strictEqual(own.body.success, true);
+  assert.deepStrictEqual(db.ran(/UPDATE sessions SET revoked_at=NOW\(\) WHERE id=\?/).map((q) => q.params), [[2]]);
+  assert.deepStrictEqual(db.ran(/UPDATE refresh_tokens SET revoked_at=NOW\(\) WHERE session_id=\?/)[0].params, [2]);
+});
+
+test("DELETE /api/sessions?except_current=1 keeps this device signed in", async () => {
+  const res = await request("DELETE", "/api/sessions?except_current=1", { token: login({ id: 5 }) });
+  assert.deepStrictEqual(res.body, { success: true, revoked: 1 });
+  assert.deepStrictEqual(db.ran(/UPDATE sessions SET revoked_at=NOW\(\) WHERE id=\?/).map((q) => q.params), [[2]]);
+});
+
+test("the admin session endpoints need users:manage", async () => {
+  const denied = await request("DELETE", "/api/users/5/sessions", { token: login({ id: 50, role: "center_manager" }) });
+  assert.strictEqual(denied.status, 403);
+
+  await request("GET", "/api/users/5/sessions?all=1", { token: login({ id: 1, role: "admin" }) });
+  assert.doesNotMatch(db.ran(/FROM sessions WHERE user_id=\?/).pop().sql, /revoked_at IS NULL/);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { db, login, request } = require("./helpers/app");
+
+const admin = () => login({ id: 1, role: "admin" });
+
+test.beforeEach(() => {
+  db.reset();
+  // "vaccinator" is a staff role, "patient" is not; user 30 is active staff, 31 deactivated
+  db.on(/SELECT name FROM roles WHERE name=\? AND is_staff=1/, ([role]) => (role === "vaccinator" ? [{ name: role }] : []))
+    .on(/SELECT id FROM users WHERE id=\? AND role IN \(SELECT name FROM roles WHERE is_staff=1\) AND is_active=1/, ([id]) =>
+      Number(id) === 30 ? [{ id: 30 }] : []
+    )
+    .on(/SELECT \* FROM appointments WHERE id=\?/, ([id]) => [{ id: Number(id), center_id: 10 }])
+    .on(/INSERT INTO users/, () => ({ affectedRows: 1, insertId: 32 }));
+});
+
+test("GET /api/staff lists active staff unless ?all=1", async () => {
+  await request("GET", "/api/staff", { token: admin() });
+  await request("GET", "/api/staff?all=1", { token: admin() });
+  const [active, all] = db.ran(/SELECT id,name,email,role,is_active FROM users/);
+  assert.match(active.sql, /AND is_active=1/);
+  assert.doesNotMatch(all.sql, /is_active=1/);
+});
+
+test("GET /api/staff needs staff:read", async () => {
+  const res = await request("GET", "/api/staff", { token: login({ id: 5 }) });
+  assert.strictEqual(res.status, 403);
+});
+
+test("POST /api/staff creates staff in a staff role only", async () => {
+  const body = { name: "Vic", email: "vic@example.com", password: "secret123" };
+  const bad = await request("POST", "/api/staff", { token: admin(), body: { ...body, role: "patient" } });
+  assert.deepStrictEqual(bad.body, { success: false, msg: "Invalid staff role" });
+
+  const ok = await request("POST", "/api/staff", { token: admin(), body: { ...body, role: "vaccinator", center_ids: [10, "10", 11] } });
+  assert.deepStrictEqual(ok.body, { success: true, id: 32 });
+  const [insert] = db.ran(/INSERT INTO users/);
+  assert.deepStrictEqual([insert.params[0], insert.params[3]], ["Vic", "vaccinator"]);
+  assert.deepStrictEqual(db.ran(/INSERT INTO user_centers/).map((q) => q.params), [[32, 10], [32, 11]]);
+});
+
+test("DELETE /api/staff/:id deactivates the account and ends its sessions", async () => {
+  db.on(/UPDATE users SET is_active=0/, () => ({ affectedRows: 1 }));
+  const res = await request("DELETE", "/api/staff/30", { token: admin() });
+  assert.strictEqual(res.body.success, true);
+  assert.match(db.ran(/UPDATE users SET is_active=0/)[0].sql, /role IN \(SELECT name FROM roles WHERE is_staff=1\)/);
+  assert.strictEqual(db.ran(/UPDATE sessions SET revoked_at=NOW\(\) WHERE user_id=\?/).length, 1);
+});
+
+test("POST /api/appointments/:id/assign rejects anyone but active staff", async () => {
+  const inactive = await request("POST", "/api/appointments/4/assign", { token: admin(), body: { staff_id: 31 } });
+  assert.deepStrictEqual(inactive.body, { success: false, msg: "Invalid or inactive staff member" });
+  assert.strictEqual(db.ran(/UPDATE appointments SET assigned_to/).length, 0);
+
+  const ok = await request("POST", "/api/appointments/4/assign", { token: admin(), body: { staff_id: 30 } });
+  assert.strictEqual(ok.body.success, true);
+  assert.deepStrictEqual(db.ran(/UPDATE appointments SET assigned_to/)[0].params, [30, "4"]);
+});
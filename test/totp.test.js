@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { base32Encode, base32Decode, totpCode, verifyTotp } = require("../server");
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("base32 round-trips and matches RFC 4648", () => {
+  assert.strictEqual(base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+  assert.strictEqual(base32Decode("MZXW6YTBOI").toString(), "foobar");
+  assert.strictEqual(base32Decode("mzxw6ytboi======").toString(), "foobar");
+  const bytes = Buffer.from([0, 1, 2, 250, 255, 128, 7]);
+  assert.deepStrictEqual(base32Decode(base32Encode(bytes)), bytes);
+});
+
+test("totpCode matches the RFC 6238 SHA-1 vectors (last six digits)", () => {
+  assert.strictEqual(totpCode(RFC_SECRET, Math.floor(59 / 30)), "287082");
+  assert.strictEqual(totpCode(RFC_SECRET, Math.floor(1111111109 / 30)), "081804");
+  assert.strictEqual(totpCode(RFC_SECRET, Math.floor(1234567890 / 30)), "005924");
+});
+
+test("verifyTotp accepts the current and adjacent steps", () => {
+  const now = Math.floor(Date.now() / 1000 / 30);
+  assert.strictEqual(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, now)), now);
+  assert.strictEqual(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, now - 1)), now - 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, now - 3)), null);
+});
+
+test("verifyTotp rejects steps at or before the last used one", () => {
+  const now = Math.floor(Date.now() / 1000 / 30);
+  const code = totpCode(RFC_SECRET, now);
+  assert.strictEqual(verifyTotp(RFC_SECRET, code, now), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, code, now - 1), now);
+});
+
+test("verifyTotp rejects malformed codes without throwing", () => {
+  assert.strictEqual(verifyTotp(RFC_SECRET, "12345"), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, "12345é"), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, "abcdef"), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, undefined), null);
+});
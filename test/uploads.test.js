@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "vms-uploads-"));
+const { db, roles, login, request } = require("./helpers/app");
+
+fs.writeFileSync(path.join(process.env.UPLOAD_DIR, "proof.png"), "x");
+roles.id_reviewer = ["id_proofs:review"];
+test.after(() => fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  db.reset();
+  // proof.png is patient 7's ID proof; patient 7 has appointments at center 10
+  db.on(/SELECT id FROM patients WHERE id_proof=\?/, ([stored]) => (stored === "/uploads/proof.png" ? [{ id: 7 }] : []))
+    .on(/FROM appointments WHERE patient_id=\? AND center_id IN \(\?\)/, ([, scope]) => (scope.includes(10) ? [{ id: 1 }] : []));
+});
+
+test("GET /api/files/:name serves an ID proof to staff of the patient's center", async () => {
+  const res = await request("GET", "/api/files/proof.png", { token: login({ id: 50, role: "vaccinator", centers: [10] }) });
+  assert.strictEqual(res.status, 200);
+});
+
+test("GET /api/files/:name hides an ID proof from staff of other centers", async () => {
+  const res = await request("GET", "/api/files/proof.png", { token: login({ id: 51, role: "vaccinator", centers: [20] }) });
+  assert.strictEqual(res.status, 404);
+});
+
+test("GET /api/files/:name serves ID proofs to reviewers regardless of center", async () => {
+  const res = await request("GET", "/api/files/proof.png", { token: login({ id: 52, role: "id_reviewer" }) });
+  assert.strictEqual(res.status, 200);
+});
+
+test("GET /api/files/:name serves an ID proof to the patient's own account", async () => {
+  db.on(/SELECT id FROM patients WHERE user_id=\?/, ([uid]) => (uid === 53 ? [{ id: 7 }] : []));
+  const res = await request("GET", "/api/files/proof.png", { token: login({ id: 53 }) });
+  assert.strictEqual(res.status, 200);
+});